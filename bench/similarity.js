@@ -0,0 +1,237 @@
+/**
+ * 标题相似度评分基准测试
+ *
+ * 在node中加载插件脚本，使用搜索结果样本比较：
+ * - 原最长公共子序列（LCS）算法与当前评分器的耗时（含文本归一化的完整标题评分，以及只比较基础相似度）
+ * - 记忆化后的重复评分耗时（模拟多轮评分和多页搜索）
+ * - 正确视频在标题相似度排序中的名次
+ *
+ * 注意：单次冷启动比较的基础相似度并不比LCS快，完整标题评分的提速来自文本特征缓存和记忆化
+ *
+ * 样本来源：
+ * - bench/fixtures/captured/*.json：真实的search/type接口响应，优先使用
+ *   格式为 { song: { name, artists, aliases }, expected: 正确视频的BV号, response: 接口原始响应 }，
+ *   response可以从浏览器开发者工具中 x/web-interface/wbi/search/type 请求的响应直接复制
+ * - bench/fixtures/synthetic.json：手工构造的样本，只在没有真实响应时使用，结果仅供参考
+ *
+ * 用法：node bench/similarity.js [迭代次数，默认200]
+ */
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const iterations = Number(process.argv[2]) || 200
+
+/**
+ * 读取搜索结果样本，真实接口响应优先
+ * @returns {{source: string, fixtures: Array<{song: Object, expected: number, results: Array}>}}
+ */
+const loadFixtures = () => {
+    const capturedDir = path.join(__dirname, 'fixtures', 'captured')
+    const files = fs.existsSync(capturedDir)
+        ? fs.readdirSync(capturedDir).filter((file) => file.endsWith('.json'))
+        : []
+
+    if (files.length === 0) {
+        return {
+            source: '手工构造样本（未找到真实接口响应，结果仅供参考）',
+            fixtures: JSON.parse(
+                fs.readFileSync(
+                    path.join(__dirname, 'fixtures', 'synthetic.json'),
+                    'utf8'
+                )
+            ),
+        }
+    }
+
+    const fixtures = files.map((file) => {
+        const { song, expected, response } = JSON.parse(
+            fs.readFileSync(path.join(capturedDir, file), 'utf8')
+        )
+        const results = response?.data?.result || []
+        const index = results.findIndex((result) => result.bvid === expected)
+        if (index < 0) {
+            throw new Error(`${file}：搜索结果中没有预期的视频 ${expected}`)
+        }
+        return {
+            song: { artists: [], aliases: [], ...song },
+            expected: index,
+            results,
+        }
+    })
+    return { source: '真实search/type接口响应', fixtures }
+}
+
+const { source, fixtures } = loadFixtures()
+
+// 插件顶层会创建DOM元素并注册BetterNCM回调，基准测试只需要纯函数，
+// 用一个吸收所有属性访问和调用的对象代替浏览器环境
+const inert = new Proxy(function () {}, {
+    get: (target, key) => (key === Symbol.toPrimitive ? () => '' : inert),
+    set: () => true,
+    apply: () => inert,
+    construct: () => inert,
+})
+const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    document: inert,
+    window: inert,
+    localStorage: inert,
+    plugin: inert,
+    betterncm: inert,
+    dom: inert,
+})
+vm.runInContext(
+    fs.readFileSync(path.join(__dirname, '..', 'playwithbilio.js'), 'utf8'),
+    context
+)
+const scorer = vm.runInContext('similarityScorer', context)
+const normalizer = vm.runInContext('textNormalizer', context)
+const currentSimilarity = scorer.similarity
+
+/**
+ * 原基础相似度算法（最长公共子序列 / 较长字符串长度），作为对照
+ */
+const lcsSimilarity = (str1, str2) => {
+    if (!str1 || !str2) return 0
+
+    const s1 = str1.toLowerCase()
+    const s2 = str2.toLowerCase()
+    const m = s1.length
+    const n = s2.length
+    const dp = Array(m + 1)
+        .fill(0)
+        .map(() => Array(n + 1).fill(0))
+
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            dp[i][j] =
+                s1[i - 1] === s2[j - 1]
+                    ? dp[i - 1][j - 1] + 1
+                    : Math.max(dp[i - 1][j], dp[i][j - 1])
+        }
+    }
+    return dp[m][n] / Math.max(m, n)
+}
+
+// 与插件相同：移除搜索结果中的关键词高亮标签
+const cleanTitle = (title) => title.replace(/<em class="keyword">|<\/em>/g, '')
+
+/**
+ * 对一个样本的全部搜索结果评分，歌名和别名中取最高
+ * @returns {Array<number>} 每个搜索结果的标题相似度
+ */
+const scoreFixture = ({ song, results }) =>
+    results.map((result) =>
+        Math.max(
+            ...[song.name, ...song.aliases].map((name) =>
+                scorer.titleSimilarity(
+                    cleanTitle(result.title),
+                    name,
+                    song.artists
+                )
+            )
+        )
+    )
+
+/**
+ * 运行一种评分算法
+ * @param {string} label - 输出中的名称
+ * @param {Function} similarity - 基础相似度函数
+ * @param {boolean} memoized - 是否在迭代之间保留记忆化缓存
+ */
+const run = (label, similarity, memoized) => {
+    scorer.similarity = similarity
+
+    // 清空缓存，未记忆化时每次迭代都重新计算
+    const clearCaches = () => {
+        scorer.cache.clear()
+        scorer.featureCache.clear()
+    }
+
+    // 预热，避免JIT编译计入第一种算法的耗时
+    for (let i = 0; i < 20; i++) {
+        clearCaches()
+        fixtures.forEach(scoreFixture)
+    }
+    clearCaches()
+
+    const start = process.hrtime.bigint()
+    for (let i = 0; i < iterations; i++) {
+        if (!memoized) clearCaches()
+        fixtures.forEach(scoreFixture)
+    }
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+
+    // 正确视频的名次（1为相似度最高）
+    const ranks = fixtures.map((fixture) => {
+        const scores = scoreFixture(fixture)
+        const expected = scores[fixture.expected]
+        return scores.filter((score) => score > expected).length + 1
+    })
+    const comparisons = fixtures.reduce(
+        (sum, { results }) => sum + results.length,
+        0
+    )
+
+    console.log(
+        [
+            label.padEnd(16),
+            `${elapsed.toFixed(1)}ms`.padStart(10),
+            `${((elapsed * 1000) / (iterations * comparisons)).toFixed(
+                2
+            )}µs/次`.padStart(12),
+            `首位 ${ranks.filter((rank) => rank === 1).length}/${ranks.length}`,
+            `平均名次 ${(
+                ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length
+            ).toFixed(2)}`,
+        ].join('  ')
+    )
+}
+
+/**
+ * 只比较基础相似度的耗时，输入为预先归一化的标题和歌名，不含归一化开销
+ * @param {string} label - 输出中的名称
+ * @param {Function} similarity - 基础相似度函数
+ */
+const runBase = (label, similarity) => {
+    const pairs = fixtures.flatMap(({ song, results }) =>
+        results.map((result) => [
+            normalizer.normalize(cleanTitle(result.title)),
+            normalizer.normalize(song.name),
+        ])
+    )
+    const measure = () => {
+        scorer.featureCache.clear()
+        pairs.forEach(([title, name]) => similarity.call(scorer, title, name))
+    }
+
+    for (let i = 0; i < 20; i++) measure()
+    const start = process.hrtime.bigint()
+    for (let i = 0; i < iterations; i++) measure()
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+
+    console.log(
+        [
+            label.padEnd(16),
+            `${elapsed.toFixed(1)}ms`.padStart(10),
+            `${((elapsed * 1000) / (iterations * pairs.length)).toFixed(
+                2
+            )}µs/次`.padStart(12),
+        ].join('  ')
+    )
+}
+
+console.log(`样本来源：${source}`)
+console.log(
+    `样本 ${fixtures.length} 首歌曲，迭代 ${iterations} 次（node ${process.version}）`
+)
+console.log('\n标题评分（含归一化）')
+run('LCS（原算法）', lcsSimilarity, false)
+run('组合评分器', currentSimilarity, false)
+run('组合评分器+记忆化', currentSimilarity, true)
+console.log('\n基础相似度（已归一化）')
+runBase('LCS（原算法）', lcsSimilarity)
+runBase('组合评分器', currentSimilarity)
@@ -25,9 +25,41 @@
  * @property {boolean} cover - 是否将视频裁剪至窗口分辨率
  * @property {boolean} darken - 是否暗化背景
  * @property {boolean} lighten - 是否亮化背景
- * @property {string} 'search-kwd' - 搜索关键词模板，支持{name}和{artist}变量
- * @property {boolean} 'filter-length' - 是否根据音频时长过滤视频
+ * @property {string} 'player-mode' - 播放模式：iframe（网页播放器）/stream（直连视频流）
+ * @property {string} 'video-quality' - 首选画质：auto/360/480/720/1080
+ * @property {string} 'power-saving' - 省电模式：off（关闭）/low（降低画质）/still（静止画面）
+ * @property {boolean} prefetch - 是否根据播放队列预加载下一首歌的视频
+ * @property {string} transition - 切换视频的方式：crossfade（交叉淡化）/fade（淡出后淡入）
+ * @property {number} 'crossfade-duration' - 交叉淡化时长（毫秒）
+ * @property {string} 'crossfade-curve' - 交叉淡化曲线：linear/ease/ease-in/ease-out/ease-in-out
+ * @property {number} 'background-pause' - 窗口隐藏或离开播放页多少秒后暂停视频，-1为禁用
+ * @property {number} 'background-unload' - 窗口隐藏或离开播放页多少秒后卸载视频，-1为禁用
+ * @property {string} 'player-routes' - 视为播放页的路由前缀，逗号分隔，留空表示所有页面
+ * @property {string} 'search-kwd' - 搜索关键词模板，支持变量、过滤器和可选段落
+ * @property {number} 'search-pages' - 每个搜索策略最多搜索的结果页数
+ * @property {boolean} 'filter-length' - 是否将音视频时长差异计入评分
  * @property {number} 'filter-play' - 播放量过滤阈值，-1为禁用
+ * @property {number} 'weight-title' - 标题相似度评分权重
+ * @property {number} 'weight-duration' - 时长差异评分权重
+ * @property {number} 'weight-play' - 播放量评分权重
+ * @property {number} 'weight-uploader' - UP主信誉评分权重
+ * @property {number} 'weight-keyword' - 关键词惩罚评分权重
+ * @property {number} 'score-min' - 候选视频最低综合评分（0-100）
+ * @property {string} 'uploader-prefer' - 优先UP主的mid或名称，逗号分隔
+ * @property {string} 'uploader-block' - 屏蔽UP主的mid或名称，逗号分隔
+ * @property {string} 'keyword-reject' - 标题排除关键词，逗号分隔
+ * @property {string} 'keyword-boost' - 标题加分关键词，逗号分隔
+ * @property {number} 'rule-bonus' - 命中优先UP主或加分关键词时增加的评分
+ * @property {string} 'align-mode' - 自动对齐模式：auto/start/end/center/off
+ * @property {number} 'sync-seek-threshold' - 音画漂移超过此秒数时强制定位
+ * @property {number} 'sync-rate-range' - 平滑校正时的最大倍速调整幅度（百分比）
+ * @property {boolean} 'offset-hotkeys' - 是否启用音画偏移快捷键
+ * @property {number} 'offset-step' - 音画偏移快捷键的调节步长（秒）
+ * @property {boolean} 'panel-hotkeys' - 是否启用候选视频和手动搜索面板快捷键
+ * @property {number} 'cache-ttl' - 匹配缓存有效期（天）
+ * @property {number} 'cache-miss-ttl' - 未匹配结果的缓存有效期（小时）
+ * @property {number} 'cache-size' - 匹配缓存最大条目数
+ * @property {number} 'api-budget' - 每分钟最多发出的Bilibili API请求数
  * @property {boolean} 'log-enable' - 是否启用日志系统
  * @property {string} 'log-level' - 日志级别：debug/info/warn/error
  */
@@ -38,9 +70,42 @@ const config = {
     cover: true,
     darken: false,
     lighten: false,
+    'player-mode': 'iframe',
+    'video-quality': 'auto',
+    'power-saving': 'off',
+    prefetch: true,
+    transition: 'crossfade',
+    'crossfade-duration': 800,
+    'crossfade-curve': 'ease-in-out',
+    'background-pause': 5,
+    'background-unload': 120,
+    'player-routes': '',
     'search-kwd': '{name} {artist} MV/PV',
+    'search-pages': 2,
     'filter-length': true,
     'filter-play': 5000,
+    'weight-title': 50,
+    'weight-duration': 30,
+    'weight-play': 10,
+    'weight-uploader': 5,
+    'weight-keyword': 15,
+    'score-min': 60,
+    'uploader-prefer': '',
+    'uploader-block': '',
+    'keyword-reject':
+        '翻唱,cover,伴奏,instrumental,纯音乐,reaction,翻跳,鬼畜,教程,教学,karaoke',
+    'keyword-boost': '官方,official mv',
+    'rule-bonus': 10,
+    'align-mode': 'auto',
+    'sync-seek-threshold': 2,
+    'sync-rate-range': 10,
+    'offset-hotkeys': true,
+    'offset-step': 0.5,
+    'panel-hotkeys': true,
+    'cache-ttl': 30,
+    'cache-miss-ttl': 24,
+    'cache-size': 500,
+    'api-budget': 30,
     'log-enable': true,
     'log-level': 'info',
 }
@@ -52,10 +117,7 @@ const config = {
  * - 显示名称：配置项在界面中显示的中文名称
  * - 描述信息：配置项的详细说明和用法
  *
- * 配置界面生成规则：
- * - 布尔值：生成checkbox控件
- * - 字符串：生成input控件
- * - 特殊处理：log-level使用select下拉框
+ * 控件类型、取值范围和分组见configSchema
  *
  * @type {Object}
  * @property {Array} enable - ['显示名称', '描述信息']
@@ -64,9 +126,40 @@ const config = {
  * @property {Array} cover - ['裁剪', '将视频自动裁剪至窗口分辨率（object-fit: cover）']
  * @property {Array} darken - ['暗化', '暗化背景（亮度50%）']
  * @property {Array} lighten - ['亮化', '亮化背景（亮度150%）']
- * @property {Array} 'search-kwd' - ['搜索关键词', '搜索关键词模板，支持{name}（歌曲名）和{artist}（歌手名）变量替换']
- * @property {Array} 'filter-length' - ['过滤时长', '根据音频时长精确匹配视频时长']
+ * @property {Array} 'player-mode' - ['播放模式', '网页播放器加载完整的视频页面；直连模式只拉取视频流，更省资源，失败时自动回退到网页播放器']
+ * @property {Array} 'video-quality' - ['首选画质', '背景视频的清晰度，网页播放器和直连模式均生效，高于账号可用画质时取最接近的一档']
+ * @property {Array} 'power-saving' - ['省电模式', '窗口失去焦点、最小化或开启模糊时降低画质或只保留静止画面']
+ * @property {Array} prefetch - ['预加载', '根据播放队列提前匹配并在后台加载下一首歌的视频，切歌时几乎立即显示']
+ * @property {Array} transition - ['切换方式', '交叉淡化在后台加载新视频后与当前视频叠化切换；淡出淡入先隐藏当前视频再显示新视频']
+ * @property {Array} 'crossfade-duration' - ['淡化时长', '交叉淡化的时长（毫秒），默认800']
+ * @property {Array} 'crossfade-curve' - ['淡化曲线', '交叉淡化的速度曲线']
+ * @property {Array} 'background-pause' - ['后台暂停', '窗口最小化或离开播放页指定秒数后暂停视频，-1为禁用，默认5']
+ * @property {Array} 'background-unload' - ['后台卸载', '窗口最小化或离开播放页指定秒数后卸载视频释放资源，-1为禁用，默认120']
+ * @property {Array} 'player-routes' - ['播放页路由', '显示视频的页面路由前缀（如 #/m/song），多个用逗号分隔，留空表示所有页面']
+ * @property {Array} 'search-kwd' - ['搜索关键词', '搜索关键词模板，支持变量、过滤器（如{name|romaji}）和可选段落（[...]）']
+ * @property {Array} 'search-pages' - ['搜索页数', '每个搜索策略最多搜索的结果页数，默认2']
+ * @property {Array} 'filter-length' - ['时长评分', '将音频与视频的时长差异计入候选评分']
  * @property {Array} 'filter-play' - ['播放量过滤', '过滤播放量低于指定值的视频，-1为禁用，默认5000']
+ * @property {Array} 'weight-title' - ['标题权重', '标题相似度在综合评分中的权重，默认50']
+ * @property {Array} 'weight-duration' - ['时长权重', '时长差异在综合评分中的权重，默认30']
+ * @property {Array} 'weight-play' - ['播放量权重', '播放量在综合评分中的权重，默认10']
+ * @property {Array} 'weight-uploader' - ['UP主权重', 'UP主信誉在综合评分中的权重，默认5']
+ * @property {Array} 'weight-keyword' - ['关键词权重', '翻唱、伴奏等关键词惩罚在综合评分中的权重，默认15']
+ * @property {Array} 'score-min' - ['最低评分', '候选视频综合评分（0-100）低于此值时不播放，默认60']
+ * @property {Array} 'uploader-prefer' - ['优先UP主', 'UP主的mid或名称（如官方唱片公司频道），多个用逗号分隔，命中时UP主信誉满分并额外加分']
+ * @property {Array} 'uploader-block' - ['屏蔽UP主', 'UP主的mid或名称，多个用逗号分隔，命中的视频直接淘汰']
+ * @property {Array} 'keyword-reject' - ['排除关键词', '标题包含这些关键词的视频直接淘汰（歌名本身包含的除外），多个用逗号分隔']
+ * @property {Array} 'keyword-boost' - ['加分关键词', '标题包含这些关键词的视频额外加分，多个用逗号分隔']
+ * @property {Array} 'rule-bonus' - ['规则加分', '命中优先UP主或加分关键词时综合评分各增加的分数，默认10']
+ * @property {Array} 'align-mode' - ['自动对齐', '视频与音频时长不一致时自动估算音画偏移的方式']
+ * @property {Array} 'sync-seek-threshold' - ['强制定位阈值', '音画漂移超过此秒数时直接跳转，较小的漂移通过调整倍速平滑追平，默认2']
+ * @property {Array} 'sync-rate-range' - ['倍速校正幅度', '平滑校正漂移时倍速最多偏离正常速度的百分比，默认10']
+ * @property {Array} 'offset-hotkeys' - ['偏移快捷键', 'Alt+←/→ 调节当前歌曲的音画偏移，按住Shift微调0.1秒，Alt+0 恢复自动估算值']
+ * @property {Array} 'offset-step' - ['偏移步长', '音画偏移快捷键每次调节的秒数，默认0.5']
+ * @property {Array} 'cache-ttl' - ['缓存有效期', '匹配结果缓存天数，默认30']
+ * @property {Array} 'cache-miss-ttl' - ['未匹配缓存有效期', '未找到视频的歌曲在指定小时内不再重复搜索，默认24']
+ * @property {Array} 'cache-size' - ['缓存上限', '最多缓存的歌曲数，超出时淘汰最久未播放的条目，默认500']
+ * @property {Array} 'api-budget' - ['请求频率上限', '每分钟最多发出的B站接口请求数，超出时排队等待，避免触发风控，默认30']
  * @property {Array} 'log-enable' - ['日志系统', '启用插件日志输出功能']
  * @property {Array} 'log-level' - ['日志级别', '控制日志输出详细程度：debug（调试）/info（信息）/warn（警告）/error（错误）']
  */
@@ -77,15 +170,115 @@ const configKeys = {
     cover: ['裁剪', '将视频自动裁剪至窗口分辨率（object-fit: cover）'],
     darken: ['暗化', '暗化背景（亮度50%）'],
     lighten: ['亮化', '亮化背景（亮度150%）'],
+    'player-mode': [
+        '播放模式',
+        '网页播放器加载完整的视频页面；直连模式只拉取视频流，更省资源，失败时自动回退到网页播放器',
+    ],
+    'video-quality': [
+        '首选画质',
+        '背景视频的清晰度，网页播放器和直连模式均生效，高于账号可用画质时取最接近的一档',
+    ],
+    'power-saving': [
+        '省电模式',
+        '窗口失去焦点、最小化或开启模糊时降低画质或只保留静止画面',
+    ],
+    prefetch: [
+        '预加载',
+        '根据播放队列提前匹配并在后台加载下一首歌的视频，切歌时几乎立即显示',
+    ],
+    transition: [
+        '切换方式',
+        '交叉淡化在后台加载新视频后与当前视频叠化切换；淡出淡入先隐藏当前视频再显示新视频',
+    ],
+    'crossfade-duration': ['淡化时长', '交叉淡化的时长（毫秒），默认800'],
+    'crossfade-curve': ['淡化曲线', '交叉淡化的速度曲线'],
+    'background-pause': [
+        '后台暂停',
+        '窗口最小化或离开播放页指定秒数后暂停视频，-1为禁用，默认5',
+    ],
+    'background-unload': [
+        '后台卸载',
+        '窗口最小化或离开播放页指定秒数后卸载视频释放资源，-1为禁用，默认120',
+    ],
+    'player-routes': [
+        '播放页路由',
+        '显示视频的页面路由前缀（如 #/m/song），多个用逗号分隔，留空表示所有页面',
+    ],
     'search-kwd': [
         '搜索关键词',
-        '搜索关键词模板，支持{name}（歌曲名）和{artist}（歌手名）变量替换',
+        '搜索关键词模板。变量：{name}去括号歌名、{rawName}原始歌名、{artist}歌手、{artists}全部歌手、{album}专辑、{alias}译名/别名、{year}年份；' +
+            '过滤器：{name|romaji}、{artist|first}，可用first、last、romaji、clean、simplified、lower、upper；' +
+            '[...]内的变量为空时整段省略，如[{alias|first}]',
     ],
-    'filter-length': ['过滤时长', '根据音频时长精确匹配视频时长'],
+    'search-pages': ['搜索页数', '每个搜索策略最多搜索的结果页数，默认2'],
+    'filter-length': ['时长评分', '将音频与视频的时长差异计入候选评分'],
     'filter-play': [
         '播放量过滤',
         '过滤播放量低于指定值的视频，-1为禁用，默认5000',
     ],
+    'weight-title': ['标题权重', '标题相似度在综合评分中的权重，默认50'],
+    'weight-duration': ['时长权重', '时长差异在综合评分中的权重，默认30'],
+    'weight-play': ['播放量权重', '播放量在综合评分中的权重，默认10'],
+    'weight-uploader': ['UP主权重', 'UP主信誉在综合评分中的权重，默认5'],
+    'weight-keyword': [
+        '关键词权重',
+        '翻唱、伴奏等关键词惩罚在综合评分中的权重，默认15',
+    ],
+    'score-min': [
+        '最低评分',
+        '候选视频综合评分（0-100）低于此值时不播放，默认60',
+    ],
+    'uploader-prefer': [
+        '优先UP主',
+        'UP主的mid或名称（如官方唱片公司频道），多个用逗号分隔，命中时UP主信誉满分并额外加分',
+    ],
+    'uploader-block': [
+        '屏蔽UP主',
+        'UP主的mid或名称，多个用逗号分隔，命中的视频直接淘汰',
+    ],
+    'keyword-reject': [
+        '排除关键词',
+        '标题包含这些关键词的视频直接淘汰（歌名本身包含的除外），多个用逗号分隔',
+    ],
+    'keyword-boost': [
+        '加分关键词',
+        '标题包含这些关键词的视频额外加分，多个用逗号分隔',
+    ],
+    'rule-bonus': [
+        '规则加分',
+        '命中优先UP主或加分关键词时综合评分各增加的分数，默认10',
+    ],
+    'align-mode': ['自动对齐', '视频与音频时长不一致时自动估算音画偏移的方式'],
+    'sync-seek-threshold': [
+        '强制定位阈值',
+        '音画漂移超过此秒数时直接跳转，较小的漂移通过调整倍速平滑追平，默认2',
+    ],
+    'sync-rate-range': [
+        '倍速校正幅度',
+        '平滑校正漂移时倍速最多偏离正常速度的百分比，默认10',
+    ],
+    'offset-hotkeys': [
+        '偏移快捷键',
+        'Alt+←/→ 调节当前歌曲的音画偏移，按住Shift微调0.1秒，Alt+0 恢复自动估算值',
+    ],
+    'offset-step': ['偏移步长', '音画偏移快捷键每次调节的秒数，默认0.5'],
+    'panel-hotkeys': [
+        '面板快捷键',
+        'Alt+C 打开当前歌曲的候选视频面板，Alt+S 打开手动搜索面板，Esc 关闭面板',
+    ],
+    'cache-ttl': ['缓存有效期', '匹配结果缓存天数，默认30'],
+    'cache-miss-ttl': [
+        '未匹配缓存有效期',
+        '未找到视频的歌曲在指定小时内不再重复搜索，默认24',
+    ],
+    'cache-size': [
+        '缓存上限',
+        '最多缓存的歌曲数，超出时淘汰最久未播放的条目，默认500',
+    ],
+    'api-budget': [
+        '请求频率上限',
+        '每分钟最多发出的B站接口请求数，超出时排队等待，避免触发风控，默认30',
+    ],
     'log-enable': ['日志系统', '启用插件日志输出功能'],
     'log-level': [
         '日志级别',
@@ -93,6 +286,326 @@ const configKeys = {
     ],
 }
 
+/**
+ * 配置项类型定义 - 用于生成配置界面和校验配置值
+ *
+ * 每个配置项包含：
+ * - group: 所属分组，见groups
+ * - type: boolean（开关）/ number（数值）/ enum（枚举）/ string（文本）
+ * - min / max / step: 数值范围和步长，integer为true时只接受整数
+ * - control: 数值型配置项使用slider（滑块）或默认的数字输入框
+ * - options: 枚举型配置项的可选值 [值, 显示文本]
+ * - excludes: 互斥的开关，开启当前项时自动关闭这些配置项
+ *
+ * 默认值取自config的初始值（defaults），localStorage中的值加载时也经过同样的校验
+ *
+ * @namespace configSchema
+ */
+const configSchema = {
+    // 默认配置，在加载localStorage之前复制
+    defaults: { ...config },
+
+    // 配置界面的分组及显示顺序 [分组键, 分组名称]
+    groups: [
+        ['general', '基本'],
+        ['display', '画面与切换'],
+        ['background', '后台与页面'],
+        ['search', '搜索与匹配'],
+        ['sync', '音画同步'],
+        ['cache', '缓存与请求'],
+        ['log', '日志'],
+    ],
+
+    items: {
+        enable: { group: 'general', type: 'boolean' },
+        'player-mode': {
+            group: 'general',
+            type: 'enum',
+            options: [
+                ['iframe', '网页播放器 - 加载Bilibili视频页面'],
+                ['stream', '直连模式 - 仅拉取视频流'],
+            ],
+        },
+        'video-quality': {
+            group: 'general',
+            type: 'enum',
+            options: [
+                ['auto', '自动 - 由播放器决定'],
+                ['360', '360P'],
+                ['480', '480P'],
+                ['720', '720P'],
+                ['1080', '1080P'],
+            ],
+        },
+        'power-saving': {
+            group: 'general',
+            type: 'enum',
+            options: [
+                ['off', '关闭'],
+                ['low', '降低画质 - 切换到360P'],
+                ['still', '静止画面 - 暂停视频'],
+            ],
+        },
+        prefetch: { group: 'general', type: 'boolean' },
+        'panel-hotkeys': { group: 'general', type: 'boolean' },
+        blur: { group: 'display', type: 'boolean' },
+        danmmaku: { group: 'display', type: 'boolean' },
+        cover: { group: 'display', type: 'boolean' },
+        darken: { group: 'display', type: 'boolean', excludes: ['lighten'] },
+        lighten: { group: 'display', type: 'boolean', excludes: ['darken'] },
+        transition: {
+            group: 'display',
+            type: 'enum',
+            options: [
+                ['crossfade', '交叉淡化'],
+                ['fade', '淡出淡入'],
+            ],
+        },
+        'crossfade-duration': {
+            group: 'display',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 5000,
+            step: 100,
+            integer: true,
+        },
+        'crossfade-curve': {
+            group: 'display',
+            type: 'enum',
+            options: [
+                ['linear', '线性'],
+                ['ease', '缓动'],
+                ['ease-in', '缓入'],
+                ['ease-out', '缓出'],
+                ['ease-in-out', '缓入缓出'],
+            ],
+        },
+        'background-pause': {
+            group: 'background',
+            type: 'number',
+            min: -1,
+            max: 3600,
+            integer: true,
+        },
+        'background-unload': {
+            group: 'background',
+            type: 'number',
+            min: -1,
+            max: 86400,
+            integer: true,
+        },
+        'player-routes': { group: 'background', type: 'string' },
+        'search-kwd': { group: 'search', type: 'string' },
+        'search-pages': {
+            group: 'search',
+            type: 'number',
+            min: 1,
+            max: 10,
+            integer: true,
+        },
+        'filter-length': { group: 'search', type: 'boolean' },
+        'filter-play': {
+            group: 'search',
+            type: 'number',
+            min: -1,
+            max: 100000000,
+            integer: true,
+        },
+        'weight-title': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'weight-duration': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'weight-play': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'weight-uploader': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'weight-keyword': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'score-min': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 100,
+            integer: true,
+        },
+        'uploader-prefer': { group: 'search', type: 'string' },
+        'uploader-block': { group: 'search', type: 'string' },
+        'keyword-reject': { group: 'search', type: 'string' },
+        'keyword-boost': { group: 'search', type: 'string' },
+        'rule-bonus': {
+            group: 'search',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 50,
+            integer: true,
+        },
+        'align-mode': {
+            group: 'sync',
+            type: 'enum',
+            options: [
+                ['auto', '自动 - 根据章节和片头黑屏估算'],
+                ['start', '开头对齐'],
+                ['end', '结尾对齐'],
+                ['center', '居中对齐'],
+                ['off', '关闭'],
+            ],
+        },
+        'sync-seek-threshold': {
+            group: 'sync',
+            type: 'number',
+            min: 0.5,
+            max: 30,
+            step: 0.5,
+        },
+        'sync-rate-range': {
+            group: 'sync',
+            type: 'number',
+            control: 'slider',
+            min: 0,
+            max: 50,
+            integer: true,
+        },
+        'offset-hotkeys': { group: 'sync', type: 'boolean' },
+        'offset-step': {
+            group: 'sync',
+            type: 'number',
+            min: 0.1,
+            max: 10,
+            step: 0.1,
+        },
+        'cache-ttl': {
+            group: 'cache',
+            type: 'number',
+            min: 1,
+            max: 3650,
+            integer: true,
+        },
+        'cache-miss-ttl': {
+            group: 'cache',
+            type: 'number',
+            min: 0,
+            max: 8760,
+            integer: true,
+        },
+        'cache-size': {
+            group: 'cache',
+            type: 'number',
+            min: 10,
+            max: 100000,
+            integer: true,
+        },
+        'api-budget': {
+            group: 'cache',
+            type: 'number',
+            control: 'slider',
+            min: 1,
+            max: 120,
+            integer: true,
+        },
+        'log-enable': { group: 'log', type: 'boolean' },
+        'log-level': {
+            group: 'log',
+            type: 'enum',
+            options: [
+                ['debug', 'Debug - 调试信息'],
+                ['info', 'Info - 一般信息'],
+                ['warn', 'Warn - 警告信息'],
+                ['error', 'Error - 错误信息'],
+            ],
+        },
+    },
+
+    /**
+     * 校验并转换配置值
+     * 数字输入框和旧版配置界面保存的数值可能是字符串，这里统一转换为数字
+     *
+     * @param {string} key - 配置项键名
+     * @param {*} raw - 待校验的值
+     * @returns {{value?: *, error?: string}} 转换后的值或错误信息
+     */
+    validate(key, raw) {
+        const item = this.items[key]
+        if (!item) return { error: '未知配置项' }
+
+        switch (item.type) {
+            case 'boolean':
+                return typeof raw === 'boolean'
+                    ? { value: raw }
+                    : { error: '需要开关值' }
+            case 'enum': {
+                const value = String(raw)
+                return item.options.some(([option]) => option === value)
+                    ? { value }
+                    : { error: `无效的选项：${value}` }
+            }
+            case 'number': {
+                const text = String(raw ?? '').trim()
+                const value = Number(text)
+                if (text === '' || !Number.isFinite(value)) {
+                    return { error: '请输入数字' }
+                }
+                if (item.integer && !Number.isInteger(value)) {
+                    return { error: '请输入整数' }
+                }
+                if (value < item.min) return { error: `不能小于${item.min}` }
+                if (value > item.max) return { error: `不能大于${item.max}` }
+                return { value }
+            }
+            default:
+                return typeof raw === 'string'
+                    ? { value: raw }
+                    : { error: '需要文本' }
+        }
+    },
+
+    /**
+     * 开启某个开关后关闭与之互斥的配置项
+     * @param {string} key - 刚修改的配置项键名
+     * @returns {Array<string>} 被关闭的配置项键名
+     */
+    applyExclusions(key) {
+        if (config[key] !== true) return []
+        const disabled = (this.items[key]?.excludes || []).filter(
+            (other) => config[other] === true
+        )
+        for (const other of disabled) config[other] = false
+        return disabled
+    },
+}
+
 /**
  * 日志系统 - PlayWithBilibili Logger
  *
@@ -244,1086 +757,6160 @@ const logger = {
 }
 
 /**
- * Bilibili播放器iframe元素
- *
- * 安全沙箱设置：
- * - allow-scripts: 允许执行JavaScript
- * - allow-forms: 允许表单提交
- * - allow-same-origin: 允许同源访问
- *
- * 设计特点：
- * - 固定定位：覆盖整个窗口作为背景
- * - 层级管理：z-index:9，在网易云界面下方
- * - 淡入淡出：透明度动画效果
- *
- * @type {HTMLIFrameElement}
- */
-const ifr = document.createElement('iframe')
-ifr.classList.add('betterncm-plugin-playwithbilio') // 插件专用CSS类名
-ifr.src = 'https://www.bilibili.com' // 初始源为B站首页
-ifr.sandbox = 'allow-scripts allow-forms allow-same-origin' // 安全沙箱设置
-
-/**
- * 插件样式元素
- *
- * 动态生成CSS样式，控制视频播放器的视觉效果：
- * - 模糊效果：10px模糊
- * - 亮度调节：暗化(0.5x)或亮化(1.5x)
- * - 透明度控制：支持淡入淡出动画
- * - 全屏覆盖：固定定位，覆盖整个窗口
- *
- * @type {HTMLStyleElement}
- */
-const pluginStyle = document.createElement('style')
-pluginStyle.innerHTML = `` // 初始化为空样式
-document.head.appendChild(pluginStyle) // 添加到页面头部
-
-/**
- * 更新插件样式
- * 根据配置动态生成CSS样式，控制视频播放器的视觉效果
- *
- * 样式特性：
- * - 模糊效果：10px模糊
- * - 亮度调节：暗化(0.5x)或亮化(1.5x)
- * - 透明度控制：支持淡入淡出动画
- * - 全屏覆盖：固定定位，覆盖整个窗口
- * - 层级管理：z-index:9，在网易云界面下方
+ * 读取数值型配置项
+ * 配置界面保存的值可能是字符串，这里统一转换为数字
  *
- * @returns {void}
+ * @param {string} key - 配置项键名
+ * @param {number} fallback - 值无效时使用的默认值
+ * @returns {number} 配置项的数值
  */
-const updatePluginStyle = () => {
-    pluginStyle.innerHTML = `
-    iframe.betterncm-plugin-playwithbilio {
-        filter: blur(${config.blur ? 10 : 0}px) ${
-        config.darken ? 'brightness(0.5)' : ''
-    } ${config.lighten ? 'brightness(1.5)' : ''};
-        width: 100%;
-        height: 100%;
-        opacity: 0;                                    // 初始透明，用于淡入淡出
-        position: fixed;                                // 固定定位覆盖整个屏幕
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        transition: opacity 200ms;                      // 200ms淡入淡出动画
-        z-index: 9;                                     // 层级设置，在网易云下方
-    }
-    `
+const getNumberConfig = (key, fallback) => {
+    const value = Number(config[key])
+    return Number.isFinite(value) ? value : fallback
 }
 
 /**
- * 切换视频URL并执行后续操作
- * 实现平滑的视频切换效果，包含淡入淡出动画
- *
- * 切换流程：
- * 1. 淡出当前视频（200ms动画）
- * 2. 设置新的URL
- * 3. 等待新页面加载完成
- * 4. 淡入新视频（200ms动画）
- * 5. 执行后续回调函数
+ * 读取逗号分隔的列表型配置项
+ * 同时接受中英文逗号，忽略空白条目
  *
- * @param {string} url - 要切换到的视频URL
- * @param {Function} after - 切换完成后要执行的回调函数
- * @returns {Promise<void>} 返回Promise，表示切换完成
+ * @param {string} key - 配置项键名
+ * @returns {Array<string>} 去除首尾空白后的条目
  */
-const switchUrl = (url, after) => {
-    return new Promise(async (rs) => {
-        await fadeOut() // 先淡出当前视频
-        ifr.src = url // 设置新的URL
-        ifr.onload = async () => {
-            // 等待新页面加载完成
-            await fadeIn() // 淡入新视频
-            await after() // 执行后续操作（如初始化播放器）
-            rs() // 完成Promise
-        }
-    })
-}
+const getListConfig = (key) =>
+    String(config[key] || '')
+        .split(/[,，]/)
+        .map((item) => item.trim())
+        .filter(Boolean)
 
 /**
- * 淡出动画效果
- * 将iframe透明度设置为0，实现视频淡出效果
- * 与CSS transition属性配合实现平滑的淡出动画
+ * 歌曲匹配结果缓存 - 持久化存储
  *
- * @returns {Promise<void>} 返回200ms延迟后的Promise，确保动画完成
- */
-const fadeOut = () => {
-    ifr.style.opacity = 0 // 设置透明度为0
-    return betterncm.utils.delay(200) // 等待200ms动画完成
-}
-
-/**
- * 淡入动画效果
- * 将iframe透明度设置为1，实现视频淡入效果
- * 与CSS transition属性配合实现平滑的淡入动画
+ * 以网易云歌曲ID为键，将自动匹配的视频持久化到localStorage，
+ * 键名为 `playwithbilio.match-cache`，条目格式：
+ * { match: { bvid, page? } | null, createdAt, accessedAt }
+ * 其中page仅在匹配到多P视频的某个分P时存在
  *
- * @returns {Promise<void>} 返回200ms延迟后的Promise，确保动画完成
+ * 缓存策略：
+ * - 过期时间：匹配成功的条目按 cache-ttl（天）过期
+ * - 负缓存：match为null表示未找到视频，按 cache-miss-ttl（小时）过期
+ * - 容量上限：超过 cache-size 时淘汰最久未访问的条目（LRU）
+ *
+ * @namespace matchCache
  */
-const fadeIn = () => {
-    ifr.style.opacity = 1 // 设置透明度为1
-    return betterncm.utils.delay(200) // 等待200ms动画完成
-}
+const matchCache = {
+    storageKey: 'playwithbilio.match-cache',
 
-// 插件主入口函数
-plugin.onLoad(() => {
-    logger.info('插件开始加载', {
-        version: 'Pro',
-        timestamp: new Date().toISOString(),
-    })
+    // 只更新访问时间时延迟保存的时间（毫秒），合并连续命中的多次写入
+    SAVE_DELAY: 10000,
 
-    // 从localStorage逐个加载配置项
-    for (const key in configKeys) {
-        try {
-            config[key] = JSON.parse(localStorage[`playwithbilio.${key}`])
-        } catch (e) {} // 忽略解析错误，使用默认值
-    }
-    logger.info('配置加载完成', config)
-    updatePluginStyle() // 应用初始样式
+    // 缓存条目，键为歌曲缓存键
+    entries: {},
 
-    // 播放器状态标志，避免重复初始化
-    let playerInitialized = false
-    let playerIntervalId = null
+    // 延迟保存的定时器
+    saveTimer: null,
 
     /**
-     * 重置播放器状态
-     * 当切换歌曲时调用，允许重新初始化播放器
-     *
-     * 功能说明：
-     * - 重置播放器初始化标志
-     * - 清理定时器防止内存泄漏
-     * - 允许新歌曲重新初始化播放器
-     *
-     * @returns {void}
+     * 从localStorage加载缓存并清理过期条目
      */
-    const resetPlayerState = () => {
-        playerInitialized = false
-        if (playerIntervalId) {
-            try {
-                ifr.contentWindow.clearInterval(playerIntervalId)
-            } catch (error) {
-                // 忽略清理错误
-            }
-            playerIntervalId = null
+    load() {
+        try {
+            this.entries = JSON.parse(localStorage[this.storageKey]) || {}
+        } catch (e) {
+            this.entries = {} // 忽略解析错误，使用空缓存
         }
-        logger.debug('播放器状态已重置')
-    }
+        this.prune()
+        logger.debug('匹配缓存加载完成', {
+            size: Object.keys(this.entries).length,
+        })
+    },
 
     /**
-     * 初始化Bilibili播放器
-     * 自动进入网页全屏、隐藏控制栏、设置弹幕状态等
-     *
-     * 初始化流程：
-     * 1. 检查是否已初始化，避免重复操作
-     * 2. 查找并点击网页全屏按钮
-     * 3. 注入自定义CSS样式
-     * 4. 设置定时器监控播放器状态
-     * 5. 处理弹幕开关和登录弹窗
+     * 将缓存写回localStorage，同时取消尚未执行的延迟保存
      */
-    const initBiliPlayer = async () => {
-        // 如果播放器已经初始化，直接返回
-        if (playerInitialized) {
-            logger.debug('播放器已初始化，跳过重复初始化')
-            return
+    save() {
+        clearTimeout(this.saveTimer)
+        this.saveTimer = null
+        try {
+            localStorage[this.storageKey] = JSON.stringify(this.entries)
+        } catch (error) {
+            logger.warn('匹配缓存保存失败', error)
         }
+    },
 
-        logger.info('开始初始化Bilibili播放器')
+    /**
+     * 标记缓存已变化，延迟后再写回localStorage
+     * 命中缓存只更新访问时间，不需要每次都序列化整个缓存
+     */
+    scheduleSave() {
+        if (this.saveTimer) return
+        this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY)
+    },
 
-        try {
-            // 等待并找到网页全屏按钮
-            const btnFullScreen = await betterncm.utils.waitForFunction(
-                () =>
-                    ifr.contentDocument.querySelector(
-                        '[aria-label="网页全屏"]'
-                    ),
-                100
-            )
+    /**
+     * 立即写回尚未保存的变化
+     */
+    flush() {
+        if (this.saveTimer) this.save()
+    },
 
-            if (!btnFullScreen) {
-                logger.error('未找到网页全屏按钮')
-                return
-            }
+    /**
+     * 检查缓存条目是否已过期
+     * @param {Object} entry - 缓存条目
+     * @param {number} now - 当前时间戳（毫秒）
+     * @returns {boolean} 是否已过期
+     */
+    isExpired(entry, now) {
+        const ttl = entry.match
+            ? getNumberConfig('cache-ttl', 30) * 24 * 3600 * 1000
+            : getNumberConfig('cache-miss-ttl', 24) * 3600 * 1000
+        return now - entry.createdAt > ttl
+    },
 
-            logger.debug('找到网页全屏按钮，点击进入全屏模式')
-            btnFullScreen.click() // 点击进入网页全屏模式
+    /**
+     * 查找缓存条目
+     * @param {string} songKey - 歌曲缓存键
+     * @returns {Object|null} 未过期的缓存条目，不存在时返回null
+     */
+    get(songKey) {
+        const entry = this.entries[songKey]
+        if (!entry) return null
+
+        const now = Date.now()
+        if (this.isExpired(entry, now)) {
+            logger.debug('匹配缓存已过期', { songKey, entry })
+            this.delete(songKey)
+            return null
+        }
 
-            // 在iframe内部添加自定义样式
-            const style = ifr.contentDocument.createElement('style')
+        entry.accessedAt = now // 更新访问时间，用于LRU淘汰
+        this.scheduleSave()
+        return entry
+    },
 
-            /**
-             * 更新iframe内部样式
-             * 隐藏播放器控制栏和设置视频适配模式
-             */
-            const updateStyle = () => {
-                style.innerHTML = `
-            /* 播放器底部控制栏 */
-            .bpx-player-control-bottom,
-            /* 提示信息 */
-            .bpx-player-toast-wrap,
-            /* 播放器控制容器 */
-            .bpx-player-control-wrap{
-                display: none !important;    /* 隐藏这些元素 */
-            }
+    /**
+     * 写入匹配结果
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Object|null} match - 匹配的视频信息，null表示未找到匹配
+     */
+    set(songKey, match) {
+        const now = Date.now()
+        this.entries[songKey] = { match, createdAt: now, accessedAt: now }
+        this.prune()
+        this.save()
+    },
 
-            /* 视频适配模式：裁剪或包含 */
-            video {
-                object-fit: ${config.cover ? 'cover' : 'contain'};
-            }
-        `
-            }
+    /**
+     * 删除缓存条目
+     * @param {string} songKey - 歌曲缓存键
+     */
+    delete(songKey) {
+        delete this.entries[songKey]
+        this.save()
+    },
 
-            updateStyle() // 应用初始样式
-            ifr.contentDocument.head.appendChild(style) // 将样式添加到iframe头部
+    /**
+     * 清空全部缓存
+     */
+    clear() {
+        this.entries = {}
+        this.save()
+        logger.info('匹配缓存已清空')
+    },
 
-            // 清理之前的定时器（如果有）
-            if (playerIntervalId) {
-                ifr.contentWindow.clearInterval(playerIntervalId)
+    /**
+     * 清理过期条目，并按LRU淘汰超出容量上限的条目
+     */
+    prune() {
+        const now = Date.now()
+        for (const [songKey, entry] of Object.entries(this.entries)) {
+            if (!entry || this.isExpired(entry, now)) {
+                delete this.entries[songKey]
             }
+        }
 
-            // 全屏检查防抖机制
-            let lastFullScreenCheck = 0
-            const FULL_SCREEN_CHECK_INTERVAL = 2000 // 2秒检查一次
-
-            // 设置定时器，持续监控和控制播放器状态
-            playerIntervalId = ifr.contentWindow.setInterval(() => {
-                const now = Date.now()
+        const maxSize = getNumberConfig('cache-size', 500)
+        const keys = Object.keys(this.entries)
+        if (keys.length <= maxSize) return
 
-                // 检查并关闭登录提示弹窗
-                const loginCloseBtn = ifr.contentDocument.querySelector(
-                    '.bili-mini-close-icon'
-                )
-                if (loginCloseBtn) {
-                    loginCloseBtn.click()
-                }
+        const evicted = keys
+            .sort(
+                (a, b) =>
+                    this.entries[a].accessedAt - this.entries[b].accessedAt
+            )
+            .slice(0, keys.length - maxSize)
+        evicted.forEach((songKey) => delete this.entries[songKey])
+        logger.debug('匹配缓存超出上限，淘汰旧条目', {
+            evictedCount: evicted.length,
+            maxSize,
+        })
+    },
+}
 
-                // 设置弹幕开关状态
-                const danmakuCheckbox = ifr.contentDocument.querySelector(
-                    '.bui-danmaku-switch-input'
-                )
-                if (danmakuCheckbox) {
-                    if (danmakuCheckbox.checked !== config.danmmaku) {
-                        danmakuCheckbox.click() // 切换弹幕状态
+/**
+ * 获取视频匹配结果的唯一标识
+ * 普通视频为bvid，多P视频的分P为 `bvid?p=N`
+ *
+ * @param {Object} match - 视频匹配结果
+ * @param {string} match.bvid - 视频的bvid
+ * @param {number} [match.page] - 分P序号
+ * @returns {string} 视频标识
+ */
+const getVideoKey = ({ bvid, page }) => (page ? `${bvid}?p=${page}` : bvid)
+
+/**
+ * 歌曲用户偏好 - 手动固定、黑名单与音画偏移
+ *
+ * 以歌曲缓存键为键，持久化到localStorage（键名 `playwithbilio.song-prefs`），
+ * 条目格式：{ pin: { bvid, page? } | null, blacklist: [videoKey, ...], offsets: { [videoKey]: 秒 } }
+ * 黑名单和偏移中使用的是getVideoKey生成的视频标识，可精确对应多P视频的某个分P
+ *
+ * 与matchCache不同，这里保存的是用户的手动选择，不会过期或被淘汰：
+ * - 固定视频：优先于自动搜索流程直接使用
+ * - 黑名单：自动搜索时排除这些视频
+ * - 音画偏移：按歌曲和视频分别保存，更换视频后不会沿用旧视频的偏移
+ *
+ * @namespace songPrefs
+ */
+const songPrefs = {
+    storageKey: 'playwithbilio.song-prefs',
+
+    // 偏好条目，键为歌曲缓存键
+    entries: {},
+
+    /**
+     * 从localStorage加载偏好设置
+     */
+    load() {
+        try {
+            this.entries = JSON.parse(localStorage[this.storageKey]) || {}
+        } catch (e) {
+            this.entries = {} // 忽略解析错误，使用空偏好
+        }
+    },
+
+    /**
+     * 将偏好设置写回localStorage
+     */
+    save() {
+        try {
+            localStorage[this.storageKey] = JSON.stringify(this.entries)
+        } catch (error) {
+            logger.warn('歌曲偏好保存失败', error)
+        }
+    },
+
+    /**
+     * 获取歌曲的偏好设置
+     * @param {string} songKey - 歌曲缓存键
+     * @returns {Object} 偏好条目，不存在时返回空条目
+     */
+    get(songKey) {
+        return (
+            this.entries[songKey] || { pin: null, blacklist: [], offsets: {} }
+        )
+    },
+
+    /**
+     * 更新歌曲的偏好设置，条目为空时自动删除
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Function} updater - 接收并修改偏好条目的函数
+     */
+    update(songKey, updater) {
+        const entry = {
+            pin: null,
+            blacklist: [],
+            offsets: {},
+            ...this.get(songKey),
+        }
+        updater(entry)
+
+        if (
+            !entry.pin &&
+            entry.blacklist.length === 0 &&
+            Object.keys(entry.offsets).length === 0
+        ) {
+            delete this.entries[songKey]
+        } else {
+            this.entries[songKey] = entry
+        }
+        this.save()
+    },
+
+    /**
+     * 将视频固定到歌曲，并将其移出黑名单
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     */
+    setPin(songKey, match) {
+        const videoKey = getVideoKey(match)
+        this.update(songKey, (entry) => {
+            entry.pin = match
+            entry.blacklist = entry.blacklist.filter((key) => key !== videoKey)
+        })
+        logger.info('已固定歌曲视频', { songKey, videoKey })
+    },
+
+    /**
+     * 取消歌曲的固定视频
+     * @param {string} songKey - 歌曲缓存键
+     */
+    clearPin(songKey) {
+        this.update(songKey, (entry) => {
+            entry.pin = null
+        })
+        logger.info('已取消固定歌曲视频', { songKey })
+    },
+
+    /**
+     * 将视频加入歌曲的黑名单，若该视频为固定视频则同时取消固定
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     */
+    addToBlacklist(songKey, match) {
+        const videoKey = getVideoKey(match)
+        this.update(songKey, (entry) => {
+            if (!entry.blacklist.includes(videoKey)) {
+                entry.blacklist.push(videoKey)
+            }
+            if (entry.pin && getVideoKey(entry.pin) === videoKey) {
+                entry.pin = null
+            }
+        })
+        logger.info('已将视频加入黑名单', { songKey, videoKey })
+    },
+
+    /**
+     * 清空歌曲的黑名单
+     * @param {string} songKey - 歌曲缓存键
+     */
+    clearBlacklist(songKey) {
+        this.update(songKey, (entry) => {
+            entry.blacklist = []
+        })
+        logger.info('已清空歌曲黑名单', { songKey })
+    },
+
+    /**
+     * 获取歌曲在指定视频上的音画偏移
+     * @param {string} songKey - 歌曲缓存键
+     * @param {string} videoKey - 视频标识
+     * @returns {number|null} 偏移秒数，未设置时返回null
+     */
+    getOffset(songKey, videoKey) {
+        return this.get(songKey).offsets?.[videoKey] ?? null
+    },
+
+    /**
+     * 保存歌曲在指定视频上的音画偏移
+     * 0也会被保存（表示用户确认无需偏移），null表示删除记录、恢复自动估算
+     *
+     * @param {string} songKey - 歌曲缓存键
+     * @param {string} videoKey - 视频标识
+     * @param {number|null} offset - 偏移秒数（视频时间 - 音频时间）
+     */
+    setOffset(songKey, videoKey, offset) {
+        this.update(songKey, (entry) => {
+            if (offset !== null) {
+                entry.offsets[videoKey] = offset
+            } else {
+                delete entry.offsets[videoKey]
+            }
+        })
+        logger.debug('已保存音画偏移', { songKey, videoKey, offset })
+    },
+}
+
+/**
+ * 页面元素选择器注册表
+ *
+ * Bilibili改版后选择器会失效，因此每个角色对应一组按优先级排列的备选选择器，
+ * 依次尝试直到找到元素。用户在配置界面添加的覆盖选择器
+ * 持久化到localStorage（键名 `playwithbilio.selector-overrides`），优先于内置选择器
+ *
+ * @namespace selectorRegistry
+ */
+const selectorRegistry = {
+    storageKey: 'playwithbilio.selector-overrides',
+
+    /**
+     * 内置角色定义
+     * - label：配置界面显示的名称
+     * - selectors：按优先级排列的备选选择器
+     * - optional：只在特定情况下出现（如登录弹窗），健康检查时未找到不算失效
+     */
+    roles: {
+        fullscreenButton: {
+            label: '网页全屏按钮',
+            selectors: [
+                '[aria-label="网页全屏"]',
+                '.bpx-player-ctrl-web',
+                '.bilibili-player-video-web-fullscreen',
+            ],
+        },
+        webscreenMode: {
+            label: '网页全屏状态',
+            selectors: [
+                '.mode-webscreen',
+                '.bpx-player-container[data-screen="web"]',
+            ],
+        },
+        controlBar: {
+            label: '播放器控制栏',
+            selectors: [
+                '.bpx-player-control-bottom',
+                '.bpx-player-control-wrap',
+                '.bilibili-player-video-control-wrap',
+            ],
+        },
+        toast: {
+            label: '播放器提示信息',
+            selectors: [
+                '.bpx-player-toast-wrap',
+                '.bilibili-player-video-toast-wrp',
+            ],
+            optional: true,
+        },
+        danmakuSwitch: {
+            label: '弹幕开关',
+            selectors: [
+                '.bui-danmaku-switch-input',
+                '.bpx-player-dm-switch input',
+            ],
+        },
+        loginPopupClose: {
+            label: '登录弹窗关闭按钮',
+            selectors: ['.bili-mini-close-icon', '.bili-mini-close'],
+            optional: true,
+        },
+        loginButton: {
+            label: '首页登录按钮',
+            selectors: ['.go-login-btn', '.header-login-entry'],
+            optional: true,
+        },
+        loginDialog: {
+            label: '登录对话框',
+            selectors: ['.bili-mini-content-wp', '.bili-mini-mask .bili-mini'],
+            optional: true,
+        },
+        video: {
+            label: '视频元素',
+            selectors: ['.bpx-player-video-wrap video', 'video'],
+        },
+    },
+
+    // 用户覆盖的选择器，键为角色名
+    overrides: {},
+
+    // 已提示过回退的角色，避免重复输出日志
+    reportedFallbacks: new Set(),
+
+    /**
+     * 从localStorage加载覆盖选择器
+     */
+    load() {
+        try {
+            this.overrides = JSON.parse(localStorage[this.storageKey]) || {}
+        } catch (e) {
+            this.overrides = {} // 忽略解析错误，只使用内置选择器
+        }
+    },
+
+    /**
+     * 将覆盖选择器写回localStorage
+     */
+    save() {
+        try {
+            localStorage[this.storageKey] = JSON.stringify(this.overrides)
+        } catch (error) {
+            logger.warn('选择器覆盖保存失败', error)
+        }
+    },
+
+    /**
+     * 获取角色的全部选择器，覆盖选择器在前
+     * @param {string} role - 角色名
+     * @returns {Array<string>} 去重后的选择器列表
+     */
+    get(role) {
+        return [
+            ...new Set([
+                ...(this.overrides[role] || []),
+                ...(this.roles[role]?.selectors || []),
+            ]),
+        ]
+    },
+
+    /**
+     * 判断命中的选择器是否为备选选择器
+     * 首选选择器是列表中的第一个（有覆盖选择器时为第一个覆盖选择器，否则为第一个内置选择器），
+     * query和healthCheck使用同一判断，保证日志与健康检查结果一致
+     *
+     * @param {number} index - 命中的选择器在get()结果中的位置
+     * @returns {boolean} 是否为备选选择器
+     */
+    isFallback(index) {
+        return index >= 1
+    },
+
+    /**
+     * 按优先级查找角色对应的元素
+     * @param {Document|Element} root - 查找范围
+     * @param {string} role - 角色名
+     * @returns {Element|null} 第一个匹配的元素
+     */
+    query(root, role) {
+        const selectors = this.get(role)
+        for (const [index, selector] of selectors.entries()) {
+            let element = null
+            try {
+                element = root.querySelector(selector)
+            } catch (error) {
+                continue // 忽略无效的覆盖选择器
+            }
+            if (!element) continue
+
+            if (this.isFallback(index) && !this.reportedFallbacks.has(role)) {
+                this.reportedFallbacks.add(role)
+                logger.warn('首选选择器失效，已使用备选选择器', {
+                    role,
+                    selector,
+                })
+            }
+            return element
+        }
+        return null
+    },
+
+    /**
+     * 判断节点本身或其子孙中是否有角色对应的元素
+     * 用于在DOM变化记录中只检查新增的节点，避免每次变化都查找整个文档
+     *
+     * @param {Node} node - 新增的节点
+     * @param {string} role - 角色名
+     * @returns {boolean} 是否包含角色对应的元素
+     */
+    contains(node, role) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false
+        return this.get(role).some((selector) => {
+            try {
+                return node.matches(selector) || !!node.querySelector(selector)
+            } catch (error) {
+                return false // 忽略无效的覆盖选择器
+            }
+        })
+    },
+
+    /**
+     * 生成角色的CSS选择器列表，用于样式注入
+     * @param {...string} roles - 角色名
+     * @returns {string} 以逗号连接的选择器
+     */
+    css(...roles) {
+        return roles
+            .flatMap((role) => this.get(role))
+            .filter((selector) => this.isValid(selector))
+            .join(',\n')
+    },
+
+    // 已提示过没有可用选择器的角色组合，避免样式每次同步都输出日志
+    reportedEmptyRules: new Set(),
+
+    /**
+     * 生成角色对应的CSS规则
+     *
+     * 角色的选择器全部无效（如覆盖选择器写错且内置选择器被过滤）时输出警告；
+     * 连固定选择器也没有时返回空字符串，避免生成缺少选择器的无效规则（整条规则会被浏览器丢弃）
+     *
+     * @param {Array<string>} roles - 角色名
+     * @param {string} declarations - 规则的声明块内容
+     * @param {Array<string>} [extraSelectors] - 与角色无关的固定选择器
+     * @returns {string} CSS规则，没有可用选择器时为空字符串
+     */
+    rule(roles, declarations, extraSelectors = []) {
+        const roleSelectors = this.css(...roles)
+        const key = roles.join(',')
+        if (!roleSelectors && !this.reportedEmptyRules.has(key)) {
+            this.reportedEmptyRules.add(key)
+            logger.warn('角色没有可用的选择器，跳过对应的样式', { roles })
+        }
+
+        const selectors = [roleSelectors, ...extraSelectors]
+            .filter(Boolean)
+            .join(',\n')
+        return selectors ? `${selectors} {${declarations}}` : ''
+    },
+
+    /**
+     * 检查选择器语法是否有效
+     * @param {string} selector - CSS选择器
+     * @returns {boolean}
+     */
+    isValid(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector)
+            return true
+        } catch (error) {
+            return false
+        }
+    },
+
+    /**
+     * 设置角色的覆盖选择器，空列表表示恢复内置选择器
+     * @param {string} role - 角色名
+     * @param {Array<string>} selectors - 覆盖选择器
+     * @returns {Array<string>} 语法无效而被忽略的选择器
+     */
+    setOverrides(role, selectors) {
+        const list = selectors.map((item) => item.trim()).filter(Boolean)
+        const invalid = list.filter((selector) => !this.isValid(selector))
+        const valid = list.filter((selector) => this.isValid(selector))
+
+        if (valid.length > 0) {
+            this.overrides[role] = valid
+        } else {
+            delete this.overrides[role]
+        }
+        this.reportedFallbacks.delete(role)
+        this.save()
+        logger.info('已更新选择器覆盖', { role, selectors: valid, invalid })
+        return invalid
+    },
+
+    /**
+     * 检查各角色在指定页面上能否找到元素
+     * @param {Document} doc - 要检查的页面
+     * @returns {Array<{role: string, label: string, optional: boolean, selector: string|null, fallback: boolean}>}
+     *   selector为命中的选择器，未找到时为null；fallback表示命中的不是首选选择器
+     */
+    healthCheck(doc) {
+        return Object.entries(this.roles).map(([role, { label, optional }]) => {
+            const selectors = this.get(role)
+            const index = selectors.findIndex((item) => {
+                try {
+                    return doc.querySelector(item)
+                } catch (error) {
+                    return false
+                }
+            })
+            return {
+                role,
+                label,
+                optional: Boolean(optional),
+                selector: index >= 0 ? selectors[index] : null,
+                fallback: index >= 0 && this.isFallback(index),
+            }
+        })
+    },
+}
+
+// av号转BV号使用的字符表和常量
+const BVID_ALPHABET =
+    'FcwAPNKTMug3GV5Lj7EJnHpWsx4tb8haYeviqBz6rkCy12mUSDQX9RdoZf'
+const BVID_XOR_CODE = 23442827791579n
+const BVID_MAX_AID = 1n << 51n
+
+/**
+ * 将av号转换为BV号
+ * @param {number|string} aid - av号（不含av前缀）
+ * @returns {string} 对应的BV号
+ */
+const aidToBvid = (aid) => {
+    const chars = 'BV1000000000'.split('')
+    let value = (BVID_MAX_AID | BigInt(aid)) ^ BVID_XOR_CODE
+    for (let i = chars.length - 1; value > 0n; i--) {
+        chars[i] = BVID_ALPHABET[Number(value % 58n)]
+        value /= 58n
+    }
+    ;[chars[3], chars[9]] = [chars[9], chars[3]]
+    ;[chars[4], chars[7]] = [chars[7], chars[4]]
+    return chars.join('')
+}
+
+/**
+ * 从用户输入中解析视频
+ * 支持直接输入BV号、av号或包含它们的视频链接，链接中的 `p=N` 参数会被解析为分P
+ * b23.tv短链接需要跨域请求才能得到重定向地址，插件中无法解析，不予支持
+ *
+ * @param {string} input - BV号、av号或视频URL
+ * @returns {Object|null} 视频匹配结果 { bvid, page? }，无法解析时返回null
+ */
+const parseVideoRef = (input) => {
+    const text = String(input || '')
+    const bvidMatch = text.match(/BV[0-9A-Za-z]{10}/)
+    const aidMatch = !bvidMatch && text.match(/(?:^|[^0-9A-Za-z])av(\d+)/i)
+    if (!bvidMatch && !aidMatch) return null
+
+    const bvid = bvidMatch ? bvidMatch[0] : aidToBvid(aidMatch[1])
+    const pageMatch = text.match(/[?&]p=(\d+)/)
+    return pageMatch ? { bvid, page: parseInt(pageMatch[1]) } : { bvid }
+}
+
+/**
+ * 格式化音画偏移用于显示
+ * @param {number} offset - 偏移秒数
+ * @returns {string} 带正负号的偏移文本，如 +1.50s
+ */
+const formatOffset = (offset) =>
+    `${offset >= 0 ? '+' : ''}${Number(offset || 0).toFixed(2)}s`
+
+/**
+ * 格式化秒数为时长文本
+ * @param {number} seconds - 秒数
+ * @returns {string} M:SS或H:MM:SS格式的时长，无效时返回 --:--
+ */
+const formatSeconds = (seconds) => {
+    if (!Number.isFinite(seconds) || seconds < 0) return '--:--'
+    const total = Math.round(seconds)
+    const h = Math.floor(total / 3600)
+    const m = Math.floor((total % 3600) / 60)
+    const s = String(total % 60).padStart(2, '0')
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+/**
+ * 格式化播放量等计数用于显示
+ * @param {number} count - 计数
+ * @returns {string} 一万以上以“万”为单位，如 12.3万
+ */
+const formatCount = (count) =>
+    count >= 10000 ? `${(count / 10000).toFixed(1)}万` : String(count || 0)
+
+/**
+ * 文本归一化 - 用于标题相似度比较
+ *
+ * 将视频标题、歌名和歌手名转换为统一形式后再比较，避免写法差异被当作不同字符串：
+ * - 🀄 繁简转换：常用繁体字转换为简体字（周杰倫 → 周杰伦）
+ * - 🔠 全角半角：全角字母数字和半角片假名转换为标准形式（ＬｉＳＡ → LiSA）
+ * - 🈂️ 假名折叠：片假名转换为平假名（カタカナ → かたかな）
+ * - ✂️ 符号与变音：去除标点符号和拉丁字母的变音符号（Café → cafe）
+ *
+ * 罗马音与假名的对应由toRomaji处理，在评分时作为额外的比较对象
+ *
+ * @namespace textNormalizer
+ */
+const textNormalizer = {
+    // 繁体字与简体字对照表，两者按位置一一对应
+    TRADITIONAL:
+        '萬與醜專業叢東絲兩嚴喪個豐臨為麗舉麼義烏樂喬習鄉書買亂爭於虧雲亞產畝親億僅從侖倉' +
+        '儀們價眾優會傘偉傳傷倫偽體餘傭僉俠侶僥偵側僑儈儕儂俁儉債傾僂僨償儻儐儲儺兒兌黨蘭' +
+        '關興養獸內岡冊寫軍農馮沖決況凍淨涼減湊凜幾鳳鳧憑凱擊鑿芻劃劉則剛創刪別剗剄劊劌劑' +
+        '剮劍剝劇勸辦務勱動勵勁勞勢勛勝區醫華協單賣盧鹵衛卻廠廳歷厲壓厭厙廁廂縣參雙發變敘' +
+        '疊葉號嘆嘰嗎吳嚦嘸員聽啟嗆嗚響問園圍國圖圓聖場壞塊堅壇壩墳墜壟壘墾堊埡塢牆聲殼壺' +
+        '處備復夠頭誇夾奪奮奧婦媽嫵嬌孫學孿寧寶實寵審憲宮寬賓對尋導將爾塵嘗堯盡層屬歲豈島' +
+        '嶺崗嶼帥師帳帶幫幣幹廣慶庫應廟廢開異棄張彌彎強歸當錄彥徹徑後憶懷憂態懸憐總戀惡惱' +
+        '悅愛憤懶戰戲戶執擴掃揚擾撫搶護報擔擬擁擇掛揮撈損換據擠攝擺擋攜搖撐敵數齋斬斷時曠' +
+        '晝顯晉曬曉暫暈朧術機殺雜權條來楊極構槍樹橋標樣檢歡歐殘氣漢湯溝沒淚潑澤潔灑濃濤滅' +
+        '潤漲淵溫灣滿濕濟灕瀟瀾灘災燈靈爐點煉煙燒熱燦燭營爺獨獅獄貓獻現環瑪璽瓊畫癡療瘋盞' +
+        '監盤睜矚礦碼確礙禮禍禪離種積稱穩窮競筆節範築簡類糧緊紅約級紀純紗紙線練組細終結絕' +
+        '給絡統經綠維綿網緒編緣縮織繞繪繼續纏罷羅聞職聯聰肅腦腳臉膽舊艦艷藝蘇蘋莊蕭薩藍蟲' +
+        '蝦螢蠻衝補裝製複見規視覺覽觀誌計訂認討讓訓記講許論設訪證評識詩試話該詳語說誰請讀' +
+        '課調談謝謠謎譜豬貝負財貢貧貨責貴費賀資賊賞賢賴贈贊趕趙躍蹤車軌軟輕載輛輝輪輸轉轟' +
+        '辭邊遼達遷過邁運還這進遠違連遲適選遺郵鄰釋裡鑒針釣鈴銀鋼錢錯鍵鍾鐘鏡鐵長門閃閉間' +
+        '閒閣闊闖隊陽陰陣陳陸險隨隱隸難雞雖霧靜韓韻頁頂項順須預領頻題顏願顧風颯飄飛飯飲餅' +
+        '館饑馬駕騎驗驚驅髮鬆鬥鬧鬱魚鮮鯨鳥鳴鴉鴨鴻鵝鶴鷹鹽麥黃齊齒龍龜啞嘩嗩囂團夢奐姦嬰' +
+        '寢屍巖幀廬彈恆懇憫懲掙搗攔敗曆殞洶涇漁濺瀰燼犧狹猶瑣畢痺盜碩祿禱穀窩竊糾綁綜緩縱' +
+        '聳脅膩艱茲葦蒼蓮薦藥蘆虛蟬襲訝詠誕諾謀謊譯豔賦贏踐軀輩轍辯遙遞醞釀鈍銳鋒錦鍊鎖鑰' +
+        '閱闡陝雋靂頌頒頹顫颱餓騙騷驕骯鬢魯鴿黴鼴齡龐颳捨濱瀏彙囉嘍嚕嗶噠囈錶鬍麵託佈傢準' +
+        '嚇罈壯夥妝屆崢嶸廚徵戇擲攤斂暢曇檔櫻歎殲氫漣澀瀉灧煩爍牽狀獵玀瑤瓏甦皚睏瞭矯磚穢' +
+        '籠粵紋紛絢綺緋緞縈縷繩纖罰翹聾膠臟艙萊葒蔣蕩薔薑蘊虜蝕蠟衊襯訣詐詭誘誦諒謙譴讚貞' +
+        '賤贖跡踴軒輓轄辮邏鈔鉤銘鋪鍋鏈鐲',
+    SIMPLIFIED:
+        '万与丑专业丛东丝两严丧个丰临为丽举么义乌乐乔习乡书买乱争于亏云亚产亩亲亿仅从仑仓' +
+        '仪们价众优会伞伟传伤伦伪体余佣佥侠侣侥侦侧侨侩侪侬俣俭债倾偻偾偿傥傧储傩儿兑党兰' +
+        '关兴养兽内冈册写军农冯冲决况冻净凉减凑凛几凤凫凭凯击凿刍划刘则刚创删别刬刭刽刿剂' +
+        '剐剑剥剧劝办务劢动励劲劳势勋胜区医华协单卖卢卤卫却厂厅历厉压厌厍厕厢县参双发变叙' +
+        '叠叶号叹叽吗吴呖呒员听启呛呜响问园围国图圆圣场坏块坚坛坝坟坠垄垒垦垩垭坞墙声壳壶' +
+        '处备复够头夸夹夺奋奥妇妈妩娇孙学孪宁宝实宠审宪宫宽宾对寻导将尔尘尝尧尽层属岁岂岛' +
+        '岭岗屿帅师帐带帮币干广庆库应庙废开异弃张弥弯强归当录彦彻径后忆怀忧态悬怜总恋恶恼' +
+        '悦爱愤懒战戏户执扩扫扬扰抚抢护报担拟拥择挂挥捞损换据挤摄摆挡携摇撑敌数斋斩断时旷' +
+        '昼显晋晒晓暂晕胧术机杀杂权条来杨极构枪树桥标样检欢欧残气汉汤沟没泪泼泽洁洒浓涛灭' +
+        '润涨渊温湾满湿济漓潇澜滩灾灯灵炉点炼烟烧热灿烛营爷独狮狱猫献现环玛玺琼画痴疗疯盏' +
+        '监盘睁瞩矿码确碍礼祸禅离种积称稳穷竞笔节范筑简类粮紧红约级纪纯纱纸线练组细终结绝' +
+        '给络统经绿维绵网绪编缘缩织绕绘继续缠罢罗闻职联聪肃脑脚脸胆旧舰艳艺苏苹庄萧萨蓝虫' +
+        '虾萤蛮冲补装制复见规视觉览观志计订认讨让训记讲许论设访证评识诗试话该详语说谁请读' +
+        '课调谈谢谣谜谱猪贝负财贡贫货责贵费贺资贼赏贤赖赠赞赶赵跃踪车轨软轻载辆辉轮输转轰' +
+        '辞边辽达迁过迈运还这进远违连迟适选遗邮邻释里鉴针钓铃银钢钱错键钟钟镜铁长门闪闭间' +
+        '闲阁阔闯队阳阴阵陈陆险随隐隶难鸡虽雾静韩韵页顶项顺须预领频题颜愿顾风飒飘飞饭饮饼' +
+        '馆饥马驾骑验惊驱发松斗闹郁鱼鲜鲸鸟鸣鸦鸭鸿鹅鹤鹰盐麦黄齐齿龙龟哑哗唢嚣团梦奂奸婴' +
+        '寝尸岩帧庐弹恒恳悯惩挣捣拦败历殒汹泾渔溅弥烬牺狭犹琐毕痹盗硕禄祷谷窝窃纠绑综缓纵' +
+        '耸胁腻艰兹苇苍莲荐药芦虚蝉袭讶咏诞诺谋谎译艳赋赢践躯辈辙辩遥递酝酿钝锐锋锦炼锁钥' +
+        '阅阐陕隽雳颂颁颓颤台饿骗骚骄肮鬓鲁鸽霉鼹龄庞刮舍滨浏汇啰喽噜哔哒呓表胡面托布家准' +
+        '吓坛壮伙妆届峥嵘厨征戆掷摊敛畅昙档樱叹歼氢涟涩泻滟烦烁牵状猎猡瑶珑苏皑困了矫砖秽' +
+        '笼粤纹纷绚绮绯缎萦缕绳纤罚翘聋胶脏舱莱荭蒋荡蔷姜蕴虏蚀蜡蔑衬诀诈诡诱诵谅谦谴赞贞' +
+        '贱赎迹踊轩挽辖辫逻钞钩铭铺锅链镯',
+
+    // 繁体字到简体字的映射和匹配繁体字的正则，首次使用时由对照表生成
+    simplifiedMap: null,
+    traditionalPattern: null,
+
+    /**
+     * 繁体字转换为简体字，对照表之外的字符保持不变
+     * @param {string} text - 原始文本
+     * @returns {string} 转换后的文本
+     */
+    toSimplified(text) {
+        if (!this.simplifiedMap) {
+            const simplified = [...this.SIMPLIFIED]
+            this.simplifiedMap = new Map(
+                [...this.TRADITIONAL].map((ch, i) => [ch, simplified[i]])
+            )
+            this.traditionalPattern = new RegExp(`[${this.TRADITIONAL}]`, 'g')
+        }
+        return text.replace(this.traditionalPattern, (ch) =>
+            this.simplifiedMap.get(ch)
+        )
+    },
+
+    /**
+     * 全角半角折叠并去除拉丁字母的变音符号
+     * NFKD兼容分解会把全角字符和半角片假名转为标准形式，并把变音符号拆分出来；
+     * 去除变音符号后再以NFC重新组合，保留假名的浊点和半浊点
+     *
+     * @param {string} text - 原始文本
+     * @returns {string} 折叠后的文本
+     */
+    foldWidth(text) {
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+    },
+
+    /**
+     * 片假名转换为平假名（Unicode编码相差0x60）
+     * @param {string} text - 原始文本
+     * @returns {string} 转换后的文本
+     */
+    foldKana(text) {
+        return text.replace(/[\u30a1-\u30f6]/g, (ch) =>
+            String.fromCharCode(ch.charCodeAt(0) - 0x60)
+        )
+    },
+
+    /**
+     * 折叠字符写法差异，保留标点符号
+     * 用于还需要按括号等符号进一步处理的文本（如视频标题）
+     *
+     * @param {string} text - 原始文本
+     * @returns {string} 小写、半角、平假名、简体形式的文本
+     */
+    fold(text) {
+        if (!text) return ''
+        return this.toSimplified(
+            this.foldKana(this.foldWidth(String(text)).toLowerCase())
+        )
+    },
+
+    /**
+     * 完整归一化：折叠字符写法差异，并将标点符号替换为空格
+     * @param {string} text - 原始文本
+     * @returns {string} 归一化后的文本，单词之间以单个空格分隔
+     */
+    normalize(text) {
+        return this.fold(text)
+            .replace(/[\p{P}\p{S}]+/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+    },
+}
+
+/**
+ * 标题相似度评分器
+ *
+ * 替代逐对分配 (m+1)×(n+1) 矩阵的最长公共子序列算法，由两个信号组合：
+ * - 🔤 词元重合：按文字系统切分词元（汉字串、假名串、字母数字串），计算Dice系数
+ * - ✏️ 编辑距离：去除空格后的Levenshtein距离，只保留两行状态
+ *
+ * 同一标题、歌名和歌手的组合在多轮评分和多页搜索中会反复出现，titleSimilarity的结果按参数记忆化，
+ * 每个候选只实际计算一次。单次冷启动比较时基础相似度仍略慢于LCS，
+ * 提速来自文本特征缓存和记忆化（见bench/similarity.js）。
+ * 现有样本中二元组Jaccard和位并行编辑距离没有带来排序提升，因此不再使用
+ *
+ * @namespace similarityScorer
+ */
+const similarityScorer = {
+    // 各信号在基础相似度中的权重
+    WEIGHTS: { token: 0.5, edit: 0.5 },
+
+    // 记忆化缓存的最大条目数，超出时整体清空
+    CACHE_LIMIT: 5000,
+
+    // 记忆化缓存，键为参数拼接的字符串
+    cache: new Map(),
+
+    // 文本特征缓存：同一歌名、歌手名和标题会与多个对象比较，分词只进行一次
+    featureCache: new Map(),
+
+    /**
+     * 获取字符所属的文字系统，用于切分词元
+     * @param {number} code - 字符的UTF-16编码
+     * @returns {number} 0为空白，1为汉字，2为假名，3为其他文字和数字
+     */
+    charClass(code) {
+        if (code === 0x20 || code === 0x09 || code === 0x0a) return 0
+        if (
+            (code >= 0x3400 && code <= 0x9fff) ||
+            (code >= 0xf900 && code <= 0xfaff)
+        ) {
+            return 1
+        }
+        if (code >= 0x3040 && code <= 0x30ff) return 2
+        return 3
+    },
+
+    /**
+     * 按文字系统切分词元
+     * 空白处和文字系统变化处（如“周杰伦jay”中汉字与字母之间）都会切分，
+     * 输入已经过归一化，不含标点符号
+     *
+     * 一个标题通常只有几个词元，用去重数组代替Set，创建和查找都更快
+     *
+     * @param {string} text - 已归一化的文本
+     * @returns {Array<string>} 去重后的词元
+     */
+    tokenize(text) {
+        const tokens = []
+        let start = 0
+        let previous = 0
+        for (let i = 0; i <= text.length; i++) {
+            const current =
+                i < text.length ? this.charClass(text.charCodeAt(i)) : 0
+            if (current !== previous) {
+                const token = previous !== 0 && text.slice(start, i)
+                if (token && !tokens.includes(token)) tokens.push(token)
+                start = i
+                previous = current
+            }
+        }
+        return tokens
+    },
+
+    /**
+     * 计算编辑距离（Levenshtein），只保留两行状态
+     * 按UTF-16编码单元比较，标题中极少出现的代理对字符会按两个字符计算
+     *
+     * @param {string} a - 第一个字符串
+     * @param {string} b - 第二个字符串
+     * @returns {number} 编辑距离
+     */
+    editDistance(a, b) {
+        // 较短的字符串作为列，使内存占用取决于较短的一方
+        const [source, target] = a.length >= b.length ? [a, b] : [b, a]
+        const n = target.length
+        if (n === 0) return source.length
+
+        let previous = new Int32Array(n + 1)
+        let current = new Int32Array(n + 1)
+        for (let j = 0; j <= n; j++) previous[j] = j
+
+        for (let i = 1; i <= source.length; i++) {
+            const code = source.charCodeAt(i - 1)
+            current[0] = i
+            for (let j = 1; j <= n; j++) {
+                const substitution =
+                    previous[j - 1] +
+                    (code === target.charCodeAt(j - 1) ? 0 : 1)
+                const deletion = previous[j] + 1
+                const insertion = current[j - 1] + 1
+                current[j] =
+                    substitution < deletion
+                        ? substitution < insertion
+                            ? substitution
+                            : insertion
+                        : deletion < insertion
+                        ? deletion
+                        : insertion
+            }
+            ;[previous, current] = [current, previous]
+        }
+        return previous[n]
+    },
+
+    /**
+     * 获取文本的比较特征（词元和去除空格的文本），结果会被缓存
+     * @param {string} text - 已归一化的文本
+     * @returns {{tokens: Array<string>, compact: string}}
+     */
+    getFeatures(text) {
+        let features = this.featureCache.get(text)
+        if (!features) {
+            features = {
+                tokens: this.tokenize(text),
+                // 编辑距离忽略空格，避免分词差异影响结果
+                compact: text.replace(/\s+/g, ''),
+            }
+            if (this.featureCache.size >= this.CACHE_LIMIT) {
+                this.featureCache.clear()
+            }
+            this.featureCache.set(text, features)
+        }
+        return features
+    },
+
+    /**
+     * 基础相似度：词元重合和编辑距离的加权组合
+     * @param {string} a - 已归一化的文本
+     * @param {string} b - 已归一化的文本
+     * @returns {number} 相似度（0-1）
+     */
+    similarity(a, b) {
+        if (!a || !b) return 0
+        if (a === b) return 1
+
+        const featuresA = this.getFeatures(a)
+        const featuresB = this.getFeatures(b)
+
+        const tokenCount = featuresA.tokens.length + featuresB.tokens.length
+        const sharedTokens = featuresA.tokens.filter((token) =>
+            featuresB.tokens.includes(token)
+        ).length
+        const tokenScore = tokenCount ? (2 * sharedTokens) / tokenCount : 0
+
+        const maxLength = Math.max(
+            featuresA.compact.length,
+            featuresB.compact.length
+        )
+        const editScore = maxLength
+            ? 1 -
+              this.editDistance(featuresA.compact, featuresB.compact) /
+                  maxLength
+            : 0
+
+        return tokenScore * this.WEIGHTS.token + editScore * this.WEIGHTS.edit
+    },
+
+    /**
+     * 标题相似度（记忆化）
+     * 处理包含额外信息的标题，优先匹配核心关键词
+     *
+     * @param {string} videoTitle - 视频标题
+     * @param {string} songName - 歌曲名
+     * @param {string|Array<string>} artistNames - 歌手名，多位歌手或译名时传入数组，取匹配度最高的一个
+     * @returns {number} 相似度百分比（0-1）
+     */
+    titleSimilarity(videoTitle, songName, artistNames) {
+        if (!videoTitle || !songName) return 0
+
+        const artistList = [artistNames || []].flat()
+        const key = [videoTitle, songName, ...artistList].join('\u0001')
+        if (this.cache.has(key)) return this.cache.get(key)
+
+        if (this.cache.size >= this.CACHE_LIMIT) this.cache.clear()
+        const score = this.computeTitleSimilarity(
+            videoTitle,
+            songName,
+            artistList
+        )
+        this.cache.set(key, score)
+        return score
+    },
+
+    /**
+     * 标题相似度的实际计算，参数同titleSimilarity
+     * @param {string} videoTitle - 视频标题
+     * @param {string} songName - 歌曲名
+     * @param {Array<string>} artistList - 歌手名列表
+     * @returns {number} 相似度百分比（0-1）
+     */
+    computeTitleSimilarity(videoTitle, songName, artistList) {
+        // 繁简、全半角、假名等写法差异先归一化，标题保留括号供下一步移除
+        const title = textNormalizer.fold(videoTitle)
+        const song = textNormalizer.normalize(songName)
+        const artists = artistList
+            .map((name) => textNormalizer.normalize(name))
+            .filter(Boolean)
+        if (!song) return 0
+
+        // 移除常见干扰符号和词语
+        const cleanTitle = textNormalizer.normalize(
+            title
+                .replace(/【.*?】|\[.*?\]|\(.*?\)|「.*?」|『.*?』/g, '') // 移除括号内容
+                .replace(/官方投稿|official|mv|pv|feat\.?|ft\.?/gi, '') // 移除常见关键词
+        ) // 标点符号和分隔符统一为空格
+
+        // 计算基础相似度
+        const baseSimilarity = this.similarity(cleanTitle, song)
+
+        // 计算歌手相似度
+        const artistSimilarity = Math.max(
+            0,
+            ...artists.map((artist) => this.similarity(cleanTitle, artist))
+        )
+
+        // 计算组合相似度
+        let finalSimilarity = baseSimilarity
+
+        // 如果歌手相似度较高，提升整体相似度
+        if (artistSimilarity > 0.3) {
+            finalSimilarity = Math.max(
+                finalSimilarity,
+                (baseSimilarity + artistSimilarity) / 2
+            )
+        }
+
+        // 如果标题包含歌曲名，直接给高分
+        if (cleanTitle.includes(song)) {
+            finalSimilarity = Math.max(finalSimilarity, 0.8)
+        }
+
+        // 如果标题包含任一歌手名，提升相似度
+        if (
+            artists.some((artist) => {
+                const core = artist.replace('official', '').trim()
+                return core && cleanTitle.includes(core)
+            })
+        ) {
+            finalSimilarity = Math.max(finalSimilarity, 0.7)
+        }
+
+        return Math.min(finalSimilarity, 1.0)
+    },
+}
+
+/**
+ * 计算字符串的MD5摘要（UTF-8编码）
+ *
+ * WBI签名需要MD5，而WebCrypto不提供MD5，因此在这里实现
+ *
+ * @param {string} text - 输入字符串
+ * @returns {string} 32位小写十六进制摘要
+ */
+const md5 = (text) => {
+    const bytes = unescape(encodeURIComponent(text)) // 转为UTF-8字节串
+    const length = bytes.length
+    const words = []
+    for (let i = 0; i < length; i++) {
+        words[i >> 2] |= bytes.charCodeAt(i) << ((i % 4) * 8)
+    }
+    // 填充：追加0x80，末尾写入以位为单位的长度
+    words[length >> 2] |= 0x80 << ((length % 4) * 8)
+    words[(((length + 8) >> 6) + 1) * 16 - 2] = length * 8
+
+    const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+    const constants = Array.from(
+        { length: 64 },
+        (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0
+    )
+    let [a0, b0, c0, d0] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+
+    for (let block = 0; block < words.length; block += 16) {
+        let [a, b, c, d] = [a0, b0, c0, d0]
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4
+            let f, g
+            if (round === 0) {
+                f = (b & c) | (~b & d)
+                g = i
+            } else if (round === 1) {
+                f = (d & b) | (~d & c)
+                g = (5 * i + 1) % 16
+            } else if (round === 2) {
+                f = b ^ c ^ d
+                g = (3 * i + 5) % 16
+            } else {
+                f = c ^ (b | ~d)
+                g = (7 * i) % 16
+            }
+            const shift = shifts[round * 4 + (i % 4)]
+            const sum = (a + f + constants[i] + (words[block + g] | 0)) | 0
+            ;[a, d, c] = [d, c, b]
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0
+        }
+        a0 = (a0 + a) | 0
+        b0 = (b0 + b) | 0
+        c0 = (c0 + c) | 0
+        d0 = (d0 + d) | 0
+    }
+
+    return [a0, b0, c0, d0]
+        .map((word) =>
+            Array.from({ length: 4 }, (_, i) =>
+                ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0')
+            ).join('')
+        )
+        .join('')
+}
+
+// WBI混合密钥的字符重排表，来自Bilibili网页端
+const WBI_MIXIN_KEY_TABLE = [
+    46, 47, 18, 2, 53, 8, 23, 32, 15, 50, 10, 31, 58, 3, 45, 35, 27, 43, 5, 49,
+    33, 9, 42, 19, 29, 28, 14, 39, 12, 38, 41, 13, 37, 48, 7, 16, 24, 55, 40,
+    61, 26, 17, 0, 1, 60, 51, 30, 4, 22, 25, 54, 21, 56, 59, 6, 63, 57, 62, 11,
+    36, 20, 34, 44, 52,
+]
+
+/**
+ * 生成带WBI签名的查询字符串
+ *
+ * 签名流程：
+ * 1. 用重排表打乱img_key + sub_key，取前32位作为混合密钥
+ * 2. 参数加入当前时间戳wts，按键名排序，并过滤值中的 !'()* 字符
+ * 3. w_rid = MD5(查询字符串 + 混合密钥)
+ *
+ * @param {Object} params - 请求参数
+ * @param {string} imgKey - nav接口返回的img_key
+ * @param {string} subKey - nav接口返回的sub_key
+ * @returns {string} 包含wts和w_rid的查询字符串
+ */
+const signWbiQuery = (params, imgKey, subKey) => {
+    const rawKey = imgKey + subKey
+    const mixinKey = WBI_MIXIN_KEY_TABLE.map((index) => rawKey[index])
+        .join('')
+        .slice(0, 32)
+    const signed = { ...params, wts: Math.round(Date.now() / 1000) }
+    const query = Object.keys(signed)
+        .sort()
+        .map(
+            (key) =>
+                `${encodeURIComponent(key)}=${encodeURIComponent(
+                    String(signed[key]).replace(/[!'()*]/g, '')
+                )}`
+        )
+        .join('&')
+    return `${query}&w_rid=${md5(query + mixinKey)}`
+}
+
+/**
+ * 插件运行时操作接口
+ *
+ * 由plugin.onLoad在初始化完成后填充实现，
+ * 供配置界面等plugin.onLoad闭包之外的入口调用播放器相关操作
+ *
+ * @namespace pluginActions
+ * @property {Function} getCurrentState - 获取当前歌曲与视频信息
+ * @property {Function} pinVideo - 将视频固定到当前歌曲并立即加载
+ * @property {Function} unpinVideo - 取消当前歌曲的固定视频并重新匹配
+ * @property {Function} markWrongVideo - 将当前视频标记为错误并加载下一个候选
+ * @property {Function} clearBlacklist - 清空当前歌曲的黑名单并重新匹配
+ * @property {Function} showOffsetControls - 显示音画偏移调节浮层
+ * @property {Function} showCandidatePicker - 打开当前歌曲的候选视频面板
+ * @property {Function} showSearchPanel - 打开手动搜索面板，可传入初始搜索内容
+ * @property {Function} previewSearchKeyword - 用当前歌曲预览搜索关键词模板的生成结果
+ * @property {Function} applyConfig - 配置变更后重新应用播放器样式、画质和省电设置
+ * @property {Function} checkSelectors - 检查选择器在当前视频页面上的命中情况
+ */
+const pluginActions = {
+    getCurrentState: () => null,
+    pinVideo: async () => {},
+    unpinVideo: async () => {},
+    markWrongVideo: async () => {},
+    clearBlacklist: async () => {},
+    showOffsetControls: () => {},
+    showCandidatePicker: async () => {},
+    showSearchPanel: () => {},
+    previewSearchKeyword: () => null,
+    applyConfig: () => {},
+    checkSelectors: () => null,
+}
+
+// 备用播放器的CSS类名：位于当前播放器下方，用于预加载下一首歌的视频
+const STANDBY_CLASS = 'betterncm-plugin-playwithbilio-standby'
+
+/**
+ * 创建Bilibili播放器iframe元素
+ *
+ * 安全沙箱设置：
+ * - allow-scripts: 允许执行JavaScript
+ * - allow-forms: 允许表单提交
+ * - allow-same-origin: 允许同源访问
+ *
+ * 设计特点：
+ * - 固定定位：覆盖整个窗口作为背景
+ * - 层级管理：z-index:9，在网易云界面下方
+ * - 淡入淡出：透明度动画效果
+ *
+ * @returns {HTMLIFrameElement}
+ */
+const createPlayerFrame = () => {
+    const frame = document.createElement('iframe')
+    frame.classList.add('betterncm-plugin-playwithbilio') // 插件专用CSS类名
+    frame.sandbox = 'allow-scripts allow-forms allow-same-origin' // 安全沙箱设置
+    return frame
+}
+
+/**
+ * 当前显示的Bilibili播放器iframe
+ * 预加载的下一首视频切换时与standbyIfr交换
+ *
+ * @type {HTMLIFrameElement}
+ */
+let ifr = createPlayerFrame()
+ifr.src = 'https://www.bilibili.com' // 初始源为B站首页
+
+/**
+ * 备用Bilibili播放器iframe，在后台预加载下一首歌的视频
+ *
+ * @type {HTMLIFrameElement}
+ */
+let standbyIfr = createPlayerFrame()
+standbyIfr.classList.add(STANDBY_CLASS)
+standbyIfr.style.display = 'none' // 有预加载任务时才显示
+
+/**
+ * 创建直连模式视频元素
+ *
+ * 直连模式下通过playurl接口获取视频流地址，由插件自己的<video>播放，
+ * 不加载完整的Bilibili视频页面：
+ * - 静音播放：只需要画面，音频由网易云播放
+ * - 不发送Referer：Bilibili视频CDN会拒绝非B站来源的Referer
+ * - 与iframe共用样式：模糊、亮度、淡入淡出效果一致
+ *
+ * @returns {HTMLVideoElement}
+ */
+const createStreamVideo = () => {
+    const video = document.createElement('video')
+    video.classList.add('betterncm-plugin-playwithbilio-stream') // 插件专用CSS类名
+    video.muted = true // 强制静音
+    video.playsInline = true
+    video.preload = 'auto'
+    video.referrerPolicy = 'no-referrer' // 不发送Referer，避免CDN拒绝请求
+    video.style.display = 'none' // 默认隐藏，仅直连模式使用
+    return video
+}
+
+/**
+ * 当前使用的直连模式视频元素，预加载切换时与standbyStream交换
+ * @type {HTMLVideoElement}
+ */
+let streamVideo = createStreamVideo()
+
+/**
+ * 备用直连模式视频元素，在后台预加载下一首歌的视频流
+ * @type {HTMLVideoElement}
+ */
+let standbyStream = createStreamVideo()
+standbyStream.classList.add(STANDBY_CLASS)
+
+/**
+ * 插件样式元素
+ *
+ * 动态生成CSS样式，控制视频播放器的视觉效果：
+ * - 模糊效果：10px模糊
+ * - 亮度调节：暗化(0.5x)或亮化(1.5x)
+ * - 透明度控制：支持淡入淡出动画
+ * - 全屏覆盖：固定定位，覆盖整个窗口
+ *
+ * @type {HTMLStyleElement}
+ */
+const pluginStyle = document.createElement('style')
+pluginStyle.innerHTML = `` // 初始化为空样式
+document.head.appendChild(pluginStyle) // 添加到页面头部
+
+/**
+ * 更新插件样式
+ * 根据配置动态生成CSS样式，控制视频播放器的视觉效果
+ *
+ * 样式特性：
+ * - 模糊效果：10px模糊
+ * - 亮度调节：暗化(0.5x)或亮化(1.5x)
+ * - 透明度控制：支持淡入淡出动画
+ * - 全屏覆盖：固定定位，覆盖整个窗口
+ * - 层级管理：z-index:9，在网易云界面下方
+ *
+ * @returns {void}
+ */
+const updatePluginStyle = () => {
+    pluginStyle.innerHTML = `
+    iframe.betterncm-plugin-playwithbilio,
+    video.betterncm-plugin-playwithbilio-stream {
+        filter: blur(${config.blur ? 10 : 0}px) ${
+        config.darken ? 'brightness(0.5)' : ''
+    } ${config.lighten ? 'brightness(1.5)' : ''};
+        width: 100%;
+        height: 100%;
+        opacity: 0;                                    // 初始透明，用于淡入淡出
+        position: fixed;                                // 固定定位覆盖整个屏幕
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        transition: opacity 200ms;                      // 200ms淡入淡出动画
+        z-index: 9;                                     // 层级设置，在网易云下方
+    }
+
+    /* 备用播放器位于当前播放器下方 */
+    .${STANDBY_CLASS} {
+        z-index: 8;
+    }
+
+    /* 直连模式视频适配：裁剪或包含 */
+    video.betterncm-plugin-playwithbilio-stream {
+        object-fit: ${config.cover ? 'cover' : 'contain'};
+        background: black;
+    }
+
+    /* 插件提示浮层：显示在网易云界面上方的右下角 */
+    .betterncm-plugin-playwithbilio-overlay {
+        position: fixed;
+        right: 24px;
+        bottom: 96px;
+        z-index: 9999;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.7);
+        color: #fff;
+        font-size: 13px;
+        opacity: 0;
+        pointer-events: none;
+        transition: opacity 200ms;
+    }
+
+    .betterncm-plugin-playwithbilio-overlay.visible {
+        opacity: 1;
+        pointer-events: auto;
+    }
+
+    .betterncm-plugin-playwithbilio-overlay button,
+    .betterncm-plugin-playwithbilio-panel button {
+        color: #fff;
+        background: rgba(255, 255, 255, 0.15);
+        border: none;
+        border-radius: 4px;
+        padding: 2px 8px;
+        cursor: pointer;
+    }
+
+    /* 插件浮动面板：居中显示在网易云界面上方 */
+    .betterncm-plugin-playwithbilio-panel {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        z-index: 10000;
+        display: none;
+        flex-direction: column;
+        width: min(720px, 90vw);
+        max-height: 80vh;
+        padding: 12px 16px;
+        border-radius: 8px;
+        background: rgba(20, 20, 20, 0.92);
+        color: #fff;
+        font-size: 13px;
+    }
+
+    .betterncm-plugin-playwithbilio-panel.visible {
+        display: flex;
+    }
+
+    .betterncm-plugin-playwithbilio-panel-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 8px;
+        font-size: 15px;
+    }
+
+    .betterncm-plugin-playwithbilio-panel-body {
+        overflow-y: auto;
+    }
+
+    /* 面板列表项：封面在左，信息在右 */
+    .betterncm-plugin-playwithbilio-panel-item {
+        display: flex;
+        gap: 12px;
+        padding: 8px 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    .betterncm-plugin-playwithbilio-panel-item img {
+        flex-shrink: 0;
+        width: 128px;
+        height: 72px;
+        object-fit: cover;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.1);
+    }
+
+    .betterncm-plugin-playwithbilio-panel .meta {
+        color: rgba(255, 255, 255, 0.6);
+    }
+
+    .betterncm-plugin-playwithbilio-panel-item .pass {
+        color: #81c784;
+    }
+
+    .betterncm-plugin-playwithbilio-panel-item .fail {
+        color: #e57373;
+    }
+    `
+}
+
+/**
+ * 为异步阶段添加超时和取消
+ *
+ * 超时以TimeoutError拒绝，取消以signal.reason拒绝；
+ * 原操作不会被中断，由其自身检查signal决定是否继续；需要在超时时中断原操作时使用runWithTimeout
+ *
+ * @param {Promise} promise - 要等待的异步操作
+ * @param {Object} options - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.timeout] - 超时时间（毫秒），不大于0时不限时
+ * @param {string} [options.stage] - 阶段名称，用于错误信息
+ * @returns {Promise} 原操作的结果
+ */
+const guardStage = (promise, { signal, timeout, stage = '操作' } = {}) =>
+    new Promise((resolve, reject) => {
+        let timer = null
+        const finish = (settle, value) => {
+            clearTimeout(timer)
+            signal?.removeEventListener('abort', onAbort)
+            settle(value)
+        }
+        const onAbort = () => finish(reject, signal.reason)
+
+        if (signal?.aborted) return onAbort()
+        signal?.addEventListener('abort', onAbort, { once: true })
+        if (timeout > 0) {
+            timer = setTimeout(
+                () =>
+                    finish(
+                        reject,
+                        new DOMException(
+                            `${stage}超时（${timeout}ms）`,
+                            'TimeoutError'
+                        )
+                    ),
+                timeout
+            )
+        }
+        promise.then(
+            (value) => finish(resolve, value),
+            (error) => finish(reject, error)
+        )
+    })
+
+/**
+ * 以独立的取消信号执行一次限时尝试
+ *
+ * 与guardStage不同，超时会通过尝试自己的signal中断原操作，
+ * 并等待原操作结束后才以TimeoutError拒绝，避免重试与仍在进行的旧尝试同时操作播放器；
+ * 外部signal取消时立即拒绝，同时取消本次尝试
+ *
+ * @param {Function} task - 要执行的异步任务，参数为本次尝试的取消信号
+ * @param {Object} options - 选项
+ * @param {AbortSignal} [options.signal] - 外部取消信号
+ * @param {number} [options.timeout] - 超时时间（毫秒），不大于0时不限时
+ * @param {string} [options.stage] - 阶段名称，用于错误信息
+ * @returns {Promise} 任务的结果
+ */
+const runWithTimeout = async (
+    task,
+    { signal, timeout, stage = '操作' } = {}
+) => {
+    signal?.throwIfAborted()
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal.reason)
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const timer =
+        timeout > 0
+            ? setTimeout(
+                  () =>
+                      controller.abort(
+                          new DOMException(
+                              `${stage}超时（${timeout}ms）`,
+                              'TimeoutError'
+                          )
+                      ),
+                  timeout
+              )
+            : null
+
+    try {
+        return await guardStage(task(controller.signal), { signal })
+    } catch (error) {
+        // 超时中断的尝试可能以其他错误结束，统一报告为超时
+        if (controller.signal.aborted && !signal?.aborted) {
+            throw controller.signal.reason
+        }
+        throw error
+    } finally {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', onAbort)
+    }
+}
+
+/**
+ * 可取消的延迟
+ * @param {number} ms - 延迟时间（毫秒）
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<void>}
+ */
+const abortableDelay = (ms, signal) =>
+    guardStage(new Promise((resolve) => setTimeout(resolve, ms)), { signal })
+
+/**
+ * 轮询等待条件成立，支持超时和取消
+ *
+ * 替代betterncm.utils.waitForFunction，后者既不能取消也没有超时
+ *
+ * @param {Function} predicate - 条件函数，返回真值时结束等待
+ * @param {Object} options - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.timeout] - 超时时间（毫秒）
+ * @param {number} [options.interval=100] - 轮询间隔（毫秒）
+ * @param {string} [options.stage] - 阶段名称，用于错误信息
+ * @returns {Promise<*>} 条件函数返回的真值
+ */
+const waitUntil = async (
+    predicate,
+    { signal, timeout, interval = 100, stage = '等待' } = {}
+) => {
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity
+    for (;;) {
+        signal?.throwIfAborted()
+        let value
+        try {
+            value = predicate()
+        } catch (error) {
+            // 页面切换过程中访问iframe文档可能抛错，视为条件未成立
+        }
+        if (value) return value
+        if (Date.now() > deadline) {
+            throw new DOMException(
+                `${stage}超时（${timeout}ms）`,
+                'TimeoutError'
+            )
+        }
+        await abortableDelay(interval, signal)
+    }
+}
+
+/**
+ * 失败后按指数退避重试
+ *
+ * 取消不会触发重试；最后一次失败的错误原样抛出
+ *
+ * @param {Function} task - 要执行的异步任务，参数为当前尝试次数（从0开始）
+ * @param {Object} options - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.retries=2] - 最多重试次数
+ * @param {number} [options.baseDelay=500] - 首次重试前的等待时间（毫秒），之后每次翻倍
+ * @param {string} [options.stage] - 阶段名称，用于日志
+ * @returns {Promise<*>} 任务的结果
+ */
+const retryWithBackoff = async (
+    task,
+    { signal, retries = 2, baseDelay = 500, stage = '操作' } = {}
+) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt)
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries) throw error
+            const delay = baseDelay * 2 ** attempt
+            logger.warn(`${stage}失败，稍后重试`, {
+                attempt: attempt + 1,
+                retries,
+                delay,
+                error: error.message,
+            })
+            await abortableDelay(delay, signal)
+        }
+    }
+}
+
+/**
+ * 将iframe导航到指定页面并等待加载完成
+ *
+ * onload可能因页面内重定向等原因不触发，超时后视为加载完成继续后续步骤
+ *
+ * @param {HTMLIFrameElement} frame - 要导航的iframe
+ * @param {string} url - 页面URL
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {number} [options.timeout=15000] - 等待onload的超时时间（毫秒）
+ * @returns {Promise<void>}
+ */
+const loadFramePage = async (frame, url, { signal, timeout = 15000 } = {}) => {
+    const loaded = new Promise((resolve) => {
+        frame.onload = resolve
+    })
+    frame.src = url
+    try {
+        await guardStage(loaded, { signal, timeout, stage: '页面加载' })
+    } catch (error) {
+        if (signal?.aborted) throw error
+        logger.warn('页面加载超时，继续初始化播放器', { url, timeout })
+    } finally {
+        frame.onload = null
+    }
+}
+
+/**
+ * 切换视频URL并执行后续操作
+ * 实现平滑的视频切换效果，包含淡入淡出动画
+ *
+ * 切换流程：
+ * 1. 淡出当前视频（200ms动画）
+ * 2. 设置新的URL
+ * 3. 等待新页面加载完成（onload未触发时超时后继续）
+ * 4. 淡入新视频（200ms动画）
+ * 5. 执行后续回调函数
+ *
+ * @param {string} url - 要切换到的视频URL
+ * @param {Function} after - 切换完成后要执行的回调函数，参数为取消信号
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号，取消后不再执行后续步骤
+ * @param {number} [options.timeout=15000] - 等待页面加载的超时时间（毫秒）
+ * @returns {Promise<void>} 返回Promise，表示切换完成
+ */
+const switchUrl = async (url, after, { signal, timeout = 15000 } = {}) => {
+    await fadeOut() // 先淡出当前视频
+    signal?.throwIfAborted()
+
+    await loadFramePage(ifr, url, { signal, timeout }) // 设置新的URL并等待加载
+
+    await fadeIn() // 淡入新视频
+    signal?.throwIfAborted()
+    await after(signal) // 执行后续操作（如初始化播放器）
+}
+
+/**
+ * 淡出动画效果
+ * 将播放器透明度设置为0，实现视频淡出效果
+ * 与CSS transition属性配合实现平滑的淡出动画
+ *
+ * @param {HTMLElement} [element=ifr] - 要淡出的播放器元素
+ * @returns {Promise<void>} 返回200ms延迟后的Promise，确保动画完成
+ */
+const fadeOut = (element = ifr) => {
+    element.style.opacity = 0 // 设置透明度为0
+    return betterncm.utils.delay(200) // 等待200ms动画完成
+}
+
+/**
+ * 淡入动画效果
+ * 将播放器透明度设置为1，实现视频淡入效果
+ * 与CSS transition属性配合实现平滑的淡入动画
+ *
+ * @param {HTMLElement} [element=ifr] - 要淡入的播放器元素
+ * @returns {Promise<void>} 返回200ms延迟后的Promise，确保动画完成
+ */
+const fadeIn = (element = ifr) => {
+    element.style.opacity = 1 // 设置透明度为1
+    return betterncm.utils.delay(200) // 等待200ms动画完成
+}
+
+/**
+ * 插件提示浮层
+ *
+ * 显示在网易云界面上方的小型浮层，用于音画偏移调节等即时反馈：
+ * - 自动隐藏：显示指定时长后淡出，鼠标悬停时保持显示
+ * - 内容灵活：支持纯文本或自定义DOM（如调节按钮）
+ *
+ * @namespace overlay
+ */
+const overlay = {
+    // 浮层元素
+    element: document.createElement('div'),
+
+    // 自动隐藏定时器
+    hideTimer: null,
+
+    // 当前内容的显示时长（毫秒），鼠标移出后按此时长重新计时
+    duration: 3000,
+
+    /**
+     * 将浮层添加到页面
+     */
+    mount() {
+        this.element.classList.add('betterncm-plugin-playwithbilio-overlay')
+        this.element.addEventListener('mouseenter', () =>
+            clearTimeout(this.hideTimer)
+        )
+        this.element.addEventListener('mouseleave', () =>
+            this.scheduleHide(this.duration)
+        )
+        document.body.appendChild(this.element)
+    },
+
+    /**
+     * 显示浮层
+     * @param {string|Node} content - 文本内容或DOM节点
+     * @param {number} [duration=3000] - 显示时长（毫秒），0表示不自动隐藏
+     */
+    show(content, duration = 3000) {
+        this.element.replaceChildren(
+            typeof content === 'string'
+                ? document.createTextNode(content)
+                : content
+        )
+        this.element.classList.add('visible')
+        this.duration = duration
+        this.scheduleHide(duration)
+    },
+
+    /**
+     * 安排自动隐藏
+     * @param {number} [duration=3000] - 延迟时长（毫秒），0表示不自动隐藏
+     */
+    scheduleHide(duration = 3000) {
+        clearTimeout(this.hideTimer)
+        if (duration > 0) {
+            this.hideTimer = setTimeout(() => this.hide(), duration)
+        }
+    },
+
+    /**
+     * 隐藏浮层
+     */
+    hide() {
+        clearTimeout(this.hideTimer)
+        this.element.classList.remove('visible')
+    },
+}
+
+/**
+ * 插件浮动面板
+ *
+ * 居中显示在网易云界面上方，用于候选视频选择等需要较多交互的操作：
+ * - 单例：打开新面板时替换当前内容，并触发上一个面板的关闭回调
+ * - 可取消：关闭回调用于中止面板发起的搜索等异步操作
+ *
+ * @namespace panel
+ */
+const panel = {
+    // 面板元素
+    element: document.createElement('div'),
+
+    // 当前面板的关闭回调
+    onClose: null,
+
+    /**
+     * 将面板添加到页面
+     */
+    mount() {
+        this.element.classList.add('betterncm-plugin-playwithbilio-panel')
+        document.body.appendChild(this.element)
+    },
+
+    /**
+     * 打开面板
+     * @param {string} title - 面板标题
+     * @param {Node} content - 面板内容
+     * @param {Function} [onClose] - 面板关闭或被替换时的回调
+     */
+    open(title, content, onClose) {
+        this.close()
+        this.element.replaceChildren(
+            dom(
+                'div',
+                { class: ['betterncm-plugin-playwithbilio-panel-header'] },
+                dom('span', { innerText: title }),
+                dom('button', {
+                    innerText: '关闭',
+                    onclick: () => this.close(),
+                })
+            ),
+            content
+        )
+        this.onClose = onClose || null
+        this.element.classList.add('visible')
+    },
+
+    /**
+     * 面板是否正在显示
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.element.classList.contains('visible')
+    },
+
+    /**
+     * 关闭面板并触发关闭回调
+     */
+    close() {
+        const onClose = this.onClose
+        this.onClose = null
+        this.element.classList.remove('visible')
+        onClose?.()
+    },
+}
+
+// 插件主入口函数
+plugin.onLoad(() => {
+    logger.info('插件开始加载', {
+        version: 'Pro',
+        timestamp: new Date().toISOString(),
+    })
+
+    // 从localStorage逐个加载配置项，无效的值保留默认值
+    for (const key in configKeys) {
+        try {
+            const stored = JSON.parse(localStorage[`playwithbilio.${key}`])
+            const { value, error } = configSchema.validate(key, stored)
+            if (error) {
+                logger.warn('配置值无效，使用默认值', { key, stored, error })
+            } else {
+                config[key] = value
+            }
+        } catch (e) {} // 忽略解析错误，使用默认值
+        configSchema.applyExclusions(key)
+    }
+    logger.info('配置加载完成', config)
+    updatePluginStyle() // 应用初始样式
+    matchCache.load() // 加载持久化的匹配缓存
+    window.addEventListener('beforeunload', () => matchCache.flush()) // 退出前写回延迟保存的访问时间
+    songPrefs.load() // 加载手动固定和黑名单设置
+    selectorRegistry.load() // 加载用户覆盖的选择器
+
+    // 播放器状态标志，避免重复初始化
+    let playerInitialized = false
+    // 当前页面上的播放器监视器，每个监视器提供sync()和stop()
+    let playerWatchers = []
+
+    /**
+     * 重置播放器状态
+     * 当切换歌曲时调用，允许重新初始化播放器
+     *
+     * 功能说明：
+     * - 重置播放器初始化标志
+     * - 停止所有监视器，断开MutationObserver和事件监听
+     * - 允许新歌曲重新初始化播放器
+     *
+     * @returns {void}
+     */
+    const resetPlayerState = () => {
+        playerInitialized = false
+        for (const watcher of playerWatchers) {
+            try {
+                watcher.stop()
+            } catch (error) {
+                // 忽略清理错误（页面可能已经卸载）
+            }
+        }
+        playerWatchers = []
+        logger.debug('播放器状态已重置')
+    }
+
+    /**
+     * 创建DOM变化监视器
+     *
+     * 只在iframe文档实际发生变化时回调，回调前合并同一轮的多次变化；
+     * 弹幕等元素会频繁修改页面，提供isRelevant时只有相关的变化记录才会触发回调
+     *
+     * @param {Node} target - 监视的根节点
+     * @param {MutationObserverInit} options - MutationObserver选项
+     * @param {Function} callback - DOM变化时的回调
+     * @param {Function} [isRelevant] - 判断单条MutationRecord是否需要处理
+     * @returns {{sync: Function, stop: Function}} 监视器，sync()立即执行一次回调
+     */
+    const watchMutations = (target, options, callback, isRelevant) => {
+        let scheduled = false
+        const observer = new MutationObserver((records) => {
+            if (scheduled) return
+            if (isRelevant && !records.some(isRelevant)) return
+            scheduled = true
+            queueMicrotask(() => {
+                scheduled = false
+                callback()
+            })
+        })
+        observer.observe(target, options)
+        return { sync: callback, stop: () => observer.disconnect() }
+    }
+
+    /**
+     * 判断变化记录中是否新增了角色对应的元素
+     * @param {MutationRecord} record - 变化记录
+     * @param {string} role - 角色名
+     * @returns {boolean} 是否新增了角色对应的元素
+     */
+    const addsRole = (record, role) =>
+        Array.prototype.some.call(record.addedNodes, (node) =>
+            selectorRegistry.contains(node, role)
+        )
+
+    /**
+     * 登录弹窗监视器：弹窗出现时立即关闭
+     * @param {Document} doc - iframe文档
+     */
+    const watchLoginPopup = (doc) =>
+        watchMutations(
+            doc.body,
+            { childList: true, subtree: true },
+            () => {
+                const loginCloseBtn = selectorRegistry.query(
+                    doc,
+                    'loginPopupClose'
+                )
+                if (loginCloseBtn) {
+                    logger.debug('关闭登录提示弹窗')
+                    loginCloseBtn.click()
+                }
+            },
+            (record) => addsRole(record, 'loginPopupClose')
+        )
+
+    /**
+     * 弹幕开关监视器：开关出现或被切换时同步为配置的状态
+     * @param {Document} doc - iframe文档
+     */
+    const watchDanmaku = (doc) => {
+        let checkbox = null
+        const sync = () => {
+            if (checkbox && checkbox.checked !== config.danmmaku) {
+                checkbox.click() // 切换弹幕状态
+            }
+        }
+        const watcher = watchMutations(
+            doc.body,
+            { childList: true, subtree: true },
+            () => {
+                const found = selectorRegistry.query(doc, 'danmakuSwitch')
+                if (found === checkbox) return
+                checkbox?.removeEventListener('change', sync)
+                checkbox = found
+                checkbox?.addEventListener('change', sync)
+                sync()
+            },
+            // 只在开关被移除或新的开关出现时重新查找
+            (record) =>
+                (checkbox && !checkbox.isConnected) ||
+                addsRole(record, 'danmakuSwitch')
+        )
+        return {
+            sync: () => {
+                watcher.sync()
+                sync()
+            },
+            stop: () => {
+                watcher.stop()
+                checkbox?.removeEventListener('change', sync)
+            },
+        }
+    }
+
+    /**
+     * 网页全屏监视器：播放器退出网页全屏时重新进入
+     *
+     * 监听播放器容器的class变化和重建，视频重新加载时（loadeddata）也检查一次，
+     * 两次点击至少间隔2秒，避免与播放器自身的切换动画冲突。
+     * 处于网页全屏时只关心该元素自身的变化、该元素被移除，以及其他元素进入网页全屏状态，
+     * 忽略弹幕等其他元素的class变化
+     *
+     * @param {Document} doc - iframe文档
+     * @param {HTMLElement} btnFullScreen - 网页全屏按钮
+     */
+    const watchWebscreen = (doc, btnFullScreen) => {
+        const FULL_SCREEN_CHECK_INTERVAL = 2000
+        let lastFullScreenCheck = 0
+        let modeElement = null // 当前带有网页全屏状态的元素
+        const sync = () => {
+            const now = Date.now()
+            modeElement = selectorRegistry.query(doc, 'webscreenMode')
+            if (
+                !modeElement &&
+                now - lastFullScreenCheck > FULL_SCREEN_CHECK_INTERVAL
+            ) {
+                const button =
+                    selectorRegistry.query(doc, 'fullscreenButton') ||
+                    btnFullScreen
+                button.click()
+                lastFullScreenCheck = now
+                logger.debug('重新进入网页全屏模式')
+            }
+        }
+        const watcher = watchMutations(
+            doc.body,
+            {
+                attributes: true,
+                attributeFilter: ['class', 'data-screen'],
+                childList: true,
+                subtree: true,
+            },
+            sync,
+            (record) =>
+                !modeElement ||
+                !modeElement.isConnected ||
+                record.target === modeElement ||
+                (record.type === 'attributes'
+                    ? selectorRegistry.contains(record.target, 'webscreenMode')
+                    : addsRole(record, 'webscreenMode'))
+        )
+        doc.addEventListener('loadeddata', sync, true) // 媒体事件不冒泡，在捕获阶段监听
+        return {
+            sync,
+            stop: () => {
+                watcher.stop()
+                doc.removeEventListener('loadeddata', sync, true)
+            },
+        }
+    }
+
+    /**
+     * 样式注入监视器：隐藏播放器控制栏并设置视频适配模式
+     *
+     * 样式内容只在配置变化时重写，页面移除样式元素时重新插入
+     *
+     * @param {Document} doc - iframe文档
+     */
+    const watchInjectedStyle = (doc) => {
+        const style = doc.createElement('style')
+        const sync = () => {
+            const css = `
+            /* 播放器控制栏和提示信息 */
+            ${selectorRegistry.rule(
+                ['controlBar', 'toast'],
+                'display: none !important;' // 隐藏这些元素
+            )}
+
+            /* 视频适配模式：裁剪或包含 */
+            video {
+                object-fit: ${config.cover ? 'cover' : 'contain'};
+            }
+        `
+            if (style.textContent !== css) style.textContent = css
+            if (!style.isConnected) doc.head.appendChild(style) // 将样式添加到iframe头部
+        }
+        const watcher = watchMutations(doc.head, { childList: true }, () => {
+            if (!style.isConnected) {
+                logger.debug('注入的样式被移除，重新插入')
+                sync()
+            }
+        })
+        sync() // 应用初始样式
+        return {
+            sync,
+            stop: () => {
+                watcher.stop()
+                style.remove()
+            },
+        }
+    }
+
+    /**
+     * 将配置变更同步到当前页面的播放器（弹幕、样式等）
+     */
+    const syncPlayerWatchers = () => {
+        for (const watcher of playerWatchers) watcher.sync()
+    }
+
+    /**
+     * 让iframe中的视频页面进入背景播放状态并启动监视器
+     *
+     * 当前播放器和预加载的备用播放器共用，监视器由调用方负责停止
+     *
+     * @param {HTMLIFrameElement} frame - 已加载视频页面的iframe
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Array<{sync: Function, stop: Function}>>} 启动的监视器
+     */
+    const setupPlayerPage = async (frame, signal) => {
+        // 等待并找到网页全屏按钮
+        const btnFullScreen = await waitUntil(
+            () =>
+                selectorRegistry.query(
+                    frame.contentDocument,
+                    'fullscreenButton'
+                ),
+            { signal, timeout: 15000, stage: '等待网页全屏按钮' }
+        )
+
+        logger.debug('找到网页全屏按钮，点击进入全屏模式')
+        btnFullScreen.click() // 点击进入网页全屏模式
+
+        const doc = frame.contentDocument
+        const watchers = [
+            watchInjectedStyle(doc),
+            watchLoginPopup(doc),
+            watchDanmaku(doc),
+            watchWebscreen(doc, btnFullScreen),
+        ]
+        // 处理监视器启动前已经存在的元素
+        for (const watcher of watchers) watcher.sync()
+        return watchers
+    }
+
+    /**
+     * 初始化Bilibili播放器
+     * 自动进入网页全屏、隐藏控制栏、设置弹幕状态等
+     *
+     * 初始化流程：
+     * 1. 检查是否已初始化，避免重复操作
+     * 2. 查找并点击网页全屏按钮
+     * 3. 注入自定义CSS样式
+     * 4. 为登录弹窗、弹幕开关、网页全屏分别启动监视器
+     *
+     * @param {AbortSignal} [signal] - 取消信号，取消时不再初始化
+     */
+    const initBiliPlayer = async (signal) => {
+        // 如果播放器已经初始化，直接返回
+        if (playerInitialized) {
+            logger.debug('播放器已初始化，跳过重复初始化')
+            return
+        }
+
+        logger.info('开始初始化Bilibili播放器')
+
+        try {
+            // 停止之前的监视器（如果有）
+            resetPlayerState()
+            playerWatchers = await setupPlayerPage(ifr, signal)
+
+            // 标记播放器已初始化
+            playerInitialized = true
+            logger.info('Bilibili播放器初始化完成')
+        } catch (error) {
+            if (signal?.aborted) throw error // 加载已被取代，交由调用方处理
+            logger.error('Bilibili播放器初始化失败', error)
+        }
+    }
+
+    // 将iframe和直连模式视频添加到页面顶部，确保作为背景层显示
+    document.body.prepend(ifr, standbyIfr, streamVideo, standbyStream)
+    overlay.mount() // 添加提示浮层
+    panel.mount() // 添加浮动面板
+    // 确保播放器初始状态可见
+    ifr.style.display = 'block'
+
+    /**
+     * 通过当前前台iframe内部window的fetch调用Bilibili API
+     *
+     * 双缓冲会交换ifr与standbyIfr，换下的iframe随后被导航到空闲页面，
+     * 因此每次调用时重新取当前ifr的fetch，而不是缓存初始iframe的
+     *
+     * @param {...*} args - 透传给fetch的参数
+     * @returns {Promise<Response>}
+     */
+    const biliFetch = (...args) => ifr.contentWindow.fetch(...args)
+
+    // B站风控和限流相关的错误码
+    const RISK_CONTROL_CODES = {
+        '-352': '风控校验失败',
+        '-412': '请求被拦截',
+        '-799': '请求过于频繁',
+    }
+
+    /**
+     * 创建带错误码的API错误
+     * @param {number} code - 接口返回的错误码
+     * @param {string} message - 错误信息
+     * @param {Object} [extra] - 附加字段，如riskControl、retryAfter
+     * @returns {Error} 错误对象
+     */
+    const createApiError = (code, message, extra = {}) =>
+        Object.assign(new Error(message), { code, ...extra })
+
+    /**
+     * Bilibili API客户端
+     *
+     * 所有B站接口请求都经过这里：
+     * - 🔏 WBI签名：从nav接口获取img_key/sub_key，缓存12小时，签名失效时自动刷新
+     * - 🚦 请求预算：全局限制每分钟请求数（api-budget），超出时排队等待
+     * - 🛑 风控识别：-352/-412/-799及HTTP 412视为风控，按指数退避暂停所有请求
+     * - 📢 状态提示：进入风控退避时通过浮层告知用户
+     *
+     * 接口返回非0错误码时抛出带code的Error，风控错误额外带有riskControl和retryAfter
+     *
+     * @namespace biliApi
+     */
+    const biliApi = {
+        storageKey: 'playwithbilio.wbi-keys',
+        keyTtl: 12 * 3600 * 1000, // WBI密钥有效期
+        baseBackoff: 30 * 1000, // 首次风控退避时间
+        maxBackoff: 10 * 60 * 1000, // 最长退避时间
+
+        wbiKeys: null, // { imgKey, subKey, fetchedAt }
+        requestTimes: [], // 最近一分钟内的请求时间
+        backoffLevel: 0, // 连续触发风控的次数
+        blockedUntil: 0, // 退避结束时间
+        lastRiskCode: null, // 最近一次触发的风控错误码
+
+        /**
+         * 获取WBI密钥，过期或强制刷新时重新请求nav接口
+         * @param {AbortSignal} [signal] - 取消信号
+         * @param {boolean} [refresh=false] - 是否忽略缓存强制刷新
+         * @returns {Promise<{imgKey: string, subKey: string}>}
+         */
+        async getWbiKeys(signal, refresh = false) {
+            if (!this.wbiKeys) {
+                try {
+                    this.wbiKeys = JSON.parse(localStorage[this.storageKey])
+                } catch (e) {
+                    this.wbiKeys = null // 忽略解析错误，重新获取
+                }
+            }
+            if (
+                !refresh &&
+                this.wbiKeys &&
+                Date.now() - this.wbiKeys.fetchedAt < this.keyTtl
+            ) {
+                return this.wbiKeys
+            }
+
+            // nav接口未登录时返回-101，但仍然包含wbi_img
+            const result = await this.request(
+                'https://api.bilibili.com/x/web-interface/nav',
+                {},
+                { signal, allowCodes: [-101] }
+            )
+            const { img_url: imgUrl, sub_url: subUrl } =
+                result.data?.wbi_img || {}
+            const keyOf = (url) => url?.split('/').pop().split('.')[0]
+            if (!keyOf(imgUrl) || !keyOf(subUrl)) {
+                throw createApiError(-1, 'nav接口未返回WBI密钥')
+            }
+
+            this.wbiKeys = {
+                imgKey: keyOf(imgUrl),
+                subKey: keyOf(subUrl),
+                fetchedAt: Date.now(),
+            }
+            try {
+                localStorage[this.storageKey] = JSON.stringify(this.wbiKeys)
+            } catch (error) {
+                logger.warn('WBI密钥保存失败', error)
+            }
+            logger.info('已更新WBI密钥', { refresh })
+            return this.wbiKeys
+        },
+
+        /**
+         * 风控退避剩余时间（毫秒）
+         * @returns {number}
+         */
+        getBackoffRemaining() {
+            return Math.max(0, this.blockedUntil - Date.now())
+        },
+
+        /**
+         * 等待请求预算，超出每分钟请求数时排队
+         * @param {AbortSignal} [signal] - 取消信号
+         */
+        async waitForBudget(signal) {
+            const budget = Math.max(1, getNumberConfig('api-budget', 30))
+            for (;;) {
+                const now = Date.now()
+                this.requestTimes = this.requestTimes.filter(
+                    (time) => now - time < 60 * 1000
+                )
+                if (this.requestTimes.length < budget) {
+                    this.requestTimes.push(now)
+                    return
+                }
+                const wait = this.requestTimes[0] + 60 * 1000 - now
+                logger.debug('请求预算已用尽，等待', { budget, wait })
+                await abortableDelay(wait, signal)
+            }
+        },
+
+        /**
+         * 进入风控退避，退避时间随连续触发次数指数增长
+         * @param {number} code - 风控错误码
+         * @returns {Error} 风控错误
+         */
+        enterBackoff(code) {
+            const delay = Math.min(
+                this.baseBackoff * 2 ** this.backoffLevel,
+                this.maxBackoff
+            )
+            this.backoffLevel++
+            this.blockedUntil = Date.now() + delay
+            this.lastRiskCode = code
+
+            const reason = RISK_CONTROL_CODES[code] || '请求受限'
+            logger.warn('触发B站风控，暂停请求', {
+                code,
+                reason,
+                delay,
+                level: this.backoffLevel,
+            })
+            return createApiError(code, reason, {
+                riskControl: true,
+                retryAfter: delay,
+            })
+        },
+
+        /**
+         * 发送B站API请求
+         *
+         * @param {string} url - 接口地址（不含查询参数）
+         * @param {Object} [params={}] - 查询参数
+         * @param {Object} [options] - 选项
+         * @param {AbortSignal} [options.signal] - 取消信号
+         * @param {boolean} [options.sign=false] - 是否使用WBI签名
+         * @param {Array<number>} [options.allowCodes=[]] - 视为成功的非0错误码
+         * @returns {Promise<Object>} 接口返回的完整JSON
+         */
+        async request(
+            url,
+            params = {},
+            { signal, sign = false, allowCodes = [] } = {}
+        ) {
+            for (let attempt = 0; ; attempt++) {
+                const remaining = this.getBackoffRemaining()
+                if (remaining > 0) {
+                    throw createApiError(
+                        this.lastRiskCode,
+                        '风控退避中，暂停请求',
+                        {
+                            riskControl: true,
+                            retryAfter: remaining,
+                        }
+                    )
+                }
+
+                let query = new URLSearchParams(params).toString()
+                if (sign) {
+                    const { imgKey, subKey } = await this.getWbiKeys(
+                        signal,
+                        attempt > 0
+                    )
+                    query = signWbiQuery(params, imgKey, subKey)
+                }
+
+                await this.waitForBudget(signal)
+                const response = await biliFetch(
+                    query ? `${url}?${query}` : url,
+                    { signal }
+                )
+                if (response.status === 412) throw this.enterBackoff(-412)
+
+                const result = await response.json()
+                if (RISK_CONTROL_CODES[result.code]) {
+                    throw this.enterBackoff(result.code)
+                }
+                // WBI密钥过期时签名校验失败（-403），刷新密钥后重试一次
+                if (sign && result.code === -403 && attempt === 0) {
+                    logger.info('WBI签名校验失败，刷新密钥后重试', { url })
+                    continue
+                }
+                if (result.code !== 0 && !allowCodes.includes(result.code)) {
+                    throw createApiError(result.code, result.message)
+                }
+
+                this.backoffLevel = 0 // 请求成功，重置退避级别
+                return result
+            }
+        },
+    }
+
+    /**
+     * 搜索Bilibili视频
+     * 使用Bilibili官方API搜索视频内容
+     * @param {string} kwd - 搜索关键词
+     * @param {number} [page=1] - 结果页码
+     * @param {AbortSignal} [signal] - 取消信号
+     * @param {Object} [filters] - 搜索条件，不传时使用接口默认值
+     * @param {string} [filters.order] - 排序方式：totalrank/click/pubdate
+     * @param {number} [filters.duration] - 时长筛选：0全部，1-4依次为10分钟以下、10-30、30-60、60分钟以上
+     * @returns {Promise<Object>} 返回搜索结果的JSON对象
+     */
+    const searchVideo = async (kwd, page = 1, signal, filters = {}) => {
+        const endTimer = logger.time('searchVideo')
+        logger.debug('开始搜索视频', { keyword: kwd, page, filters })
+
+        const params = { search_type: 'video', page, keyword: kwd }
+        if (filters.order) params.order = filters.order
+        if (filters.duration) params.duration = filters.duration
+
+        try {
+            const result = await biliApi.request(
+                'https://api.bilibili.com/x/web-interface/wbi/search/type',
+                params,
+                { signal, sign: true }
+            )
+
+            logger.debug('视频搜索完成', {
+                keyword: kwd,
+                page,
+                resultCount: result.data?.result?.length || 0,
+                statusCode: result.code,
+                firstResult: result.data?.result?.[0]
+                    ? {
+                          title: result.data.result[0].title,
+                          duration: result.data.result[0].duration,
+                          bvid: result.data.result[0].bvid,
+                          aid: result.data.result[0].aid,
+                      }
+                    : null,
+            })
+
+            endTimer()
+            return result
+        } catch (error) {
+            logger.error('视频搜索失败', {
+                keyword: kwd,
+                code: error.code,
+                error: error.message,
+            })
+            endTimer()
+            throw error
+        }
+    }
+
+    /**
+     * 解析搜索API返回的JSON数据为标准视频数组格式
+     * 将Bilibili API返回的复杂结构简化为统一格式
+     *
+     * @param {Object} jsonData - Bilibili搜索API返回的JSON数据
+     * @returns {Array} 返回标准格式的视频对象数组
+     */
+    const parseSearchResults = (jsonData) => {
+        logger.debug('开始解析搜索结果')
+
+        if (!jsonData?.data?.result || !Array.isArray(jsonData.data.result)) {
+            logger.warn('搜索结果格式无效', jsonData)
+            return []
+        }
+
+        const videos = jsonData.data.result.map((video) => ({
+            title:
+                video.title?.replace(/<em class="keyword">|<\/em>/g, '') || '', // 移除关键词高亮标签
+            bvid: video.bvid || '',
+            duration: video.duration || '', // MM:SS格式的时长字符串
+            playCount: video.play || 0, // 观看数
+            author: video.author || '',
+            mid: video.mid || 0, // UP主mid，用于优先/屏蔽UP主规则
+            arcurl: video.arcurl || '',
+            cover: video.pic ? new URL(video.pic, 'https:').href : '', // 封面地址（协议相对地址补全为https）
+            pubdate: video.pubdate || 0, // 发布时间（Unix秒）
+            description: video.description || '',
+        }))
+
+        logger.debug('搜索结果解析完成', {
+            totalVideos: videos.length,
+            firstVideo: videos[0] || null,
+        })
+
+        return videos
+    }
+
+    /**
+     * 清理歌名中的括号内容
+     * 移除【】、[]、{}、()、「」、『』等括号及其之间的内容
+     * @param {string} songName - 原始歌名
+     * @returns {string} 清理后的歌名
+     */
+    const cleanSongName = (songName) => {
+        if (!songName || typeof songName !== 'string') return songName || ''
+
+        // 移除各种括号及其内容
+        const cleaned = songName
+            .replace(/【.*?】|\[.*?\]|\{.*?\}|\(.*?\)|「.*?」|『.*?』/g, '')
+            .replace(/\s+/g, ' ') // 标准化空格
+            .trim()
+
+        logger.debug('歌名清理', {
+            original: songName,
+            cleaned: cleaned,
+        })
+
+        return cleaned
+    }
+
+    // 平假名与罗马音（平文式）对照表，两者按位置一一对应
+    const KANA_CHARS =
+        'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをんがぎぐげござじずぜぞだぢづでどばびぶべぼぱぴぷぺぽゔ'
+    const KANA_ROMAJI = (
+        'a i u e o ka ki ku ke ko sa shi su se so ta chi tsu te to ' +
+        'na ni nu ne no ha hi fu he ho ma mi mu me mo ya yu yo ' +
+        'ra ri ru re ro wa o n ga gi gu ge go za ji zu ze zo ' +
+        'da ji zu de do ba bi bu be bo pa pi pu pe po vu'
+    ).split(' ')
+
+    // 拗音和小写元音对应的元音
+    const SMALL_KANA_VOWELS = {
+        ゃ: 'a',
+        ゅ: 'u',
+        ょ: 'o',
+        ぁ: 'a',
+        ぃ: 'i',
+        ぅ: 'u',
+        ぇ: 'e',
+        ぉ: 'o',
+    }
+
+    /**
+     * 将假名标题转换为罗马音
+     * 片假名先转换为平假名，支持拗音、促音和外来语小写元音
+     * 标题中含有汉字等无法转换的字符时返回空字符串
+     *
+     * @param {string} text - 原始文本
+     * @returns {string} 罗马音文本，无法转换时返回空字符串
+     */
+    const toRomaji = (text) => {
+        if (!text || !/[\u3041-\u30f6]/.test(text)) return ''
+
+        const hiragana = textNormalizer.foldKana(text)
+
+        const syllables = []
+        let sokuon = false // 促音标记，下一个音节的辅音需要重复
+
+        for (const ch of hiragana) {
+            if (ch === 'っ') {
+                sokuon = true
+                continue
+            }
+
+            // 拗音（きゃ）和外来语小写元音（ファ）与前一个音节合并
+            const prev = syllables[syllables.length - 1]
+            if (SMALL_KANA_VOWELS[ch] && /[a-z]$/.test(prev || '')) {
+                const vowel = SMALL_KANA_VOWELS[ch]
+                const isYoon = 'ゃゅょ'.includes(ch) && prev.endsWith('i')
+                syllables[syllables.length - 1] =
+                    isYoon && !/^(sh|ch|j)i$/.test(prev)
+                        ? prev.slice(0, -1) + 'y' + vowel
+                        : prev.slice(0, -1) + vowel
+                continue
+            }
+
+            const index = KANA_CHARS.indexOf(ch)
+            let romaji = index >= 0 ? KANA_ROMAJI[index] : ch
+            if (ch === 'ー') romaji = '' // 长音符号直接省略
+
+            if (sokuon && /^[a-z]/.test(romaji)) {
+                romaji = (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji
+            }
+            sokuon = false
+            syllables.push(romaji)
+        }
+
+        const result = syllables.join('').replace(/\s+/g, ' ').trim()
+        // 残留汉字或假名说明无法完整转换
+        return /[\u3040-\u30ff\u4e00-\u9fff]/.test(result) ? '' : result
+    }
+
+    /**
+     * 搜索关键词模板的过滤器
+     * 每个过滤器接收并返回字符串数组，结果中的空字符串会被丢弃
+     */
+    const KEYWORD_FILTERS = {
+        first: (values) => values.slice(0, 1),
+        last: (values) => values.slice(-1),
+        romaji: (values) => values.map(toRomaji),
+        clean: (values) => values.map(cleanSongName),
+        simplified: (values) =>
+            values.map((value) => textNormalizer.toSimplified(value)),
+        lower: (values) => values.map((value) => value.toLowerCase()),
+        upper: (values) => values.map((value) => value.toUpperCase()),
+    }
+
+    /**
+     * 收集搜索关键词模板可用的变量
+     *
+     * 多值变量（歌手、别名）以数组保存，渲染时以空格连接；
+     * {name}与旧版模板一致为去括号的歌名，原始歌名使用{rawName}
+     *
+     * @param {Object} song - 歌曲信息
+     * @param {{name?: string, artist?: Array<string>, artists?: Array<string>}} [overrides] - 搜索策略替换的歌名或歌手
+     * @returns {Object<string, string|Array<string>>} 变量表
+     */
+    const getKeywordVariables = (song, overrides = {}) => {
+        const rawName = overrides.name ?? song.name
+        return {
+            name: cleanSongName(rawName),
+            rawName,
+            artist: overrides.artist ?? [song.artistName],
+            artists: overrides.artists ?? song.artists,
+            album: song.album,
+            alias: song.aliases,
+            year: song.year,
+        }
+    }
+
+    /**
+     * 解析{变量|过滤器|...}表达式
+     * @param {string} expression - 花括号内的表达式
+     * @param {Object} variables - 变量表
+     * @returns {Array<string>} 非空的取值列表
+     * @throws {Error} 变量或过滤器不存在时抛出
+     */
+    const resolveKeywordExpression = (expression, variables) => {
+        const [name, ...filters] = expression
+            .split('|')
+            .map((part) => part.trim())
+        if (!(name in variables)) throw new Error(`未知变量：{${name}}`)
+
+        return filters.reduce(
+            (values, filter) => {
+                if (!KEYWORD_FILTERS[filter]) {
+                    throw new Error(`未知过滤器：${filter}`)
+                }
+                return KEYWORD_FILTERS[filter](values).filter(Boolean)
+            },
+            [variables[name] ?? []]
+                .flat()
+                .map((value) => String(value).trim())
+                .filter(Boolean)
+        )
+    }
+
+    /**
+     * 渲染搜索关键词模板
+     *
+     * 语法：
+     * - {name}：变量，多个值以空格连接
+     * - {name|romaji|lower}：依次应用过滤器
+     * - [...]：可选段落，其中任一变量为空时整段省略
+     *
+     * 模板只扫描一遍，替换进来的歌名即使含有花括号或方括号也不会被再次解析
+     *
+     * @param {string} template - 关键词模板
+     * @param {Object} variables - 变量表，见getKeywordVariables
+     * @returns {string} 渲染结果，已合并多余空格
+     * @throws {Error} 模板引用了不存在的变量或过滤器时抛出
+     */
+    const renderKeywordTemplate = (template, variables) => {
+        const renderExpressions = (text) => {
+            let missing = false
+            const rendered = text.replace(/\{([^{}]*)\}/g, (_, expression) => {
+                const values = resolveKeywordExpression(expression, variables)
+                if (values.length === 0) missing = true
+                return values.join(' ')
+            })
+            return { rendered, missing }
+        }
+
+        return String(template || '')
+            .replace(/\[([^[\]]*)\]|\{[^{}]*\}/g, (match, section) => {
+                if (section === undefined) {
+                    return renderExpressions(match).rendered
+                }
+                const { rendered, missing } = renderExpressions(section)
+                return missing ? '' : rendered
+            })
+            .replace(/\s+/g, ' ')
+            .trim()
+    }
+
+    /**
+     * 根据搜索关键词模板生成关键词
+     * 模板无效或渲染结果为空时退化为“MV 歌名 - 歌手”
+     *
+     * @param {Object} song - 歌曲信息
+     * @param {{name?: string, artist?: Array<string>, artists?: Array<string>}} [overrides] - 搜索策略替换的歌名或歌手，歌手为空数组表示不含歌手
+     * @returns {string} 搜索关键词
+     */
+    const buildSearchKeyword = (song, overrides = {}) => {
+        const variables = getKeywordVariables(song, overrides)
+        let keyword = ''
+        try {
+            keyword = renderKeywordTemplate(config['search-kwd'], variables)
+        } catch (error) {
+            logger.warn('搜索关键词模板无效，使用默认格式', {
+                template: config['search-kwd'],
+                error: error.message,
+            })
+        }
+
+        const artist = variables.artist.join(' ')
+        return keyword || `MV ${variables.name}${artist ? ` - ${artist}` : ''}`
+    }
+
+    /**
+     * 生成有序的搜索策略列表
+     *
+     * 策略顺序：
+     * 1. 关键词模板（含主歌手）
+     * 2. 关键词模板（含全部歌手，仅限多位歌手）
+     * 3. 关键词模板（不含歌手）
+     * 4. 网易云译名/别名
+     * 5. 关键词模板（含歌手译名）
+     * 6. 歌名 + 专辑名
+     * 7. 罗马音标题（仅限纯假名标题）
+     *
+     * 关键词相同的策略会被去重
+     *
+     * @param {Object} song - 歌曲信息
+     * @returns {Array<{name: string, keyword: string}>} 搜索策略列表
+     */
+    const buildSearchStrategies = (song) => {
+        const cleanedName = cleanSongName(song.name)
+        const cleanedAlbum = cleanSongName(song.album)
+        const romaji = toRomaji(cleanedName)
+
+        const strategies = [
+            {
+                name: '模板（含歌手）',
+                keyword: buildSearchKeyword(song),
+            },
+            song.artists.length > 1 && {
+                name: '模板（全部歌手）',
+                keyword: buildSearchKeyword(song, { artist: song.artists }),
+            },
+            {
+                name: '模板（不含歌手）',
+                keyword: buildSearchKeyword(song, { artist: [], artists: [] }),
+            },
+            ...song.aliases.map((alias) => ({
+                name: '译名/别名',
+                keyword: buildSearchKeyword(song, { name: alias }),
+            })),
+            ...song.artistAliases.map((artistAlias) => ({
+                name: '歌手译名',
+                keyword: buildSearchKeyword(song, { artist: [artistAlias] }),
+            })),
+            cleanedAlbum &&
+                cleanedAlbum !== cleanedName && {
+                    name: '专辑名',
+                    keyword: `${cleanedName} ${cleanedAlbum}`,
+                },
+            romaji && {
+                name: '罗马音标题',
+                keyword: `${romaji} ${song.artistName}`,
+            },
+        ]
+
+        const seen = new Set()
+        return strategies.filter((strategy) => {
+            if (!strategy || !strategy.keyword) return false
+            const key = strategy.keyword.toLowerCase()
+            if (seen.has(key)) return false
+            seen.add(key)
+            return true
+        })
+    }
+
+    /**
+     * 解析视频时长字符串
+     * 支持 MM:SS（分钟:秒）和 HH:MM:SS（小时:分钟:秒）两种格式
+     *
+     * @param {string} duration - 时长字符串
+     * @returns {number} 时长（秒），无法解析时返回0
+     */
+    const parseDuration = (duration) => {
+        const parts = String(duration || '')
+            .split(':')
+            .map((part) => parseInt(part) || 0)
+
+        return parts.reduce((total, part) => total * 60 + part, 0)
+    }
+
+    // 官方或唱片公司类UP主名称特征
+    const OFFICIAL_UPLOADER_PATTERN = /官方|official|records|唱片|music|vevo/i
+
+    // 标题相似度下限，低于此值的候选直接淘汰
+    const TITLE_SIMILARITY_FLOOR = 0.3
+
+    /**
+     * 读取评分权重配置
+     * 关闭时长过滤时时长信号权重为0
+     *
+     * @returns {Object} 各评分信号的权重
+     */
+    const getScoreWeights = () => ({
+        title: getNumberConfig('weight-title', 50),
+        duration: config['filter-length']
+            ? getNumberConfig('weight-duration', 30)
+            : 0,
+        play: getNumberConfig('weight-play', 10),
+        uploader: getNumberConfig('weight-uploader', 5),
+        keyword: getNumberConfig('weight-keyword', 15),
+    })
+
+    /**
+     * 读取候选匹配规则配置
+     * 关键词与标题使用相同的归一化，加分换算为0-1的评分刻度
+     *
+     * @returns {Object} 优先/屏蔽UP主、排除/加分关键词和规则加分
+     */
+    const getMatchRules = () => ({
+        preferUploaders: getListConfig('uploader-prefer'),
+        blockUploaders: getListConfig('uploader-block'),
+        rejectKeywords: getListConfig('keyword-reject')
+            .map((k) => textNormalizer.normalize(k))
+            .filter(Boolean),
+        boostKeywords: getListConfig('keyword-boost')
+            .map((k) => textNormalizer.normalize(k))
+            .filter(Boolean),
+        bonus: getNumberConfig('rule-bonus', 10) / 100,
+    })
+
+    /**
+     * 判断视频的UP主是否在列表中
+     * 纯数字条目按mid匹配，其余条目按UP主名称（忽略大小写）匹配
+     *
+     * @param {Object} video - 候选视频（含mid和author）
+     * @param {Array<string>} list - UP主mid或名称列表
+     * @returns {boolean} 是否命中
+     */
+    const matchesUploader = (video, list) =>
+        list.some((entry) =>
+            /^\d+$/.test(entry)
+                ? String(video.mid) === entry
+                : entry.toLowerCase() === (video.author || '').toLowerCase()
+        )
+
+    /**
+     * 时长信号评分
+     * 误差2秒内满分，之后线性衰减，误差达到30秒时为0分
+     *
+     * @param {number} videoSeconds - 视频时长（秒）
+     * @param {number} audioSeconds - 音频时长（秒）
+     * @returns {number} 评分（0-1）
+     */
+    const scoreDuration = (videoSeconds, audioSeconds) => {
+        const diff = Math.abs(videoSeconds - audioSeconds)
+        return Math.max(0, Math.min(1, 1 - (diff - 2) / 28))
+    }
+
+    /**
+     * 播放量信号评分
+     * 按对数缩放，1000万播放为满分
+     *
+     * @param {number} playCount - 播放量
+     * @returns {number} 评分（0-1）
+     */
+    const scorePlayCount = (playCount) => {
+        if (!playCount || playCount <= 1) return 0
+        return Math.min(1, Math.log10(playCount) / 7)
+    }
+
+    /**
+     * UP主信誉信号评分
+     * UP主名称包含任一歌手名（含译名）为满分，官方/唱片公司类账号次之
+     *
+     * @param {string} author - UP主名称
+     * @param {Array<string>} artistNames - 所有歌手名及其译名
+     * @returns {number} 评分（0-1）
+     */
+    const scoreUploader = (author, artistNames) => {
+        const name = textNormalizer.normalize(author)
+
+        if (
+            artistNames.some((artist) => {
+                const normalized = textNormalizer.normalize(artist)
+                return normalized && name.includes(normalized)
+            })
+        ) {
+            return 1
+        }
+        if (OFFICIAL_UPLOADER_PATTERN.test(name)) return 0.8
+        return 0.4
+    }
+
+    /**
+     * 关键词惩罚信号评分
+     * 标题包含排除关键词（翻唱、伴奏等）时为0分，同时记录命中的加分关键词；
+     * 歌名本身包含的关键词不计入。
+     * 纯ASCII关键词按单词边界匹配，避免cover命中discover、live命中delivery
+     *
+     * @param {string} videoTitle - 视频标题
+     * @param {string} songName - 歌曲名
+     * @param {Object} rules - getMatchRules返回的匹配规则
+     * @returns {{score: number, matched: Array<string>, boosted: Array<string>}} 评分（0-1）、命中的排除关键词和加分关键词
+     */
+    const scoreKeywords = (videoTitle, songName, rules) => {
+        const title = textNormalizer.normalize(videoTitle)
+        const song = textNormalizer.normalize(songName)
+        const contains = (text, keyword) =>
+            /^[\x00-\x7f]+$/.test(keyword)
+                ? new RegExp(
+                      `\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`
+                  ).test(text)
+                : text.includes(keyword)
+        const hits = (keywords) =>
+            keywords.filter(
+                (keyword) =>
+                    contains(title, keyword) && !contains(song, keyword)
+            )
+        const matched = hits(rules.rejectKeywords)
+
+        return {
+            score: matched.length > 0 ? 0 : 1,
+            matched,
+            boosted: hits(rules.boostKeywords),
+        }
+    }
+
+    /**
+     * 标题相似度信号评分
+     * 视频标题和分P标题分别与歌名及每个译名/别名比较，取最高的相似度，
+     * 因此命中任一别名都算作标题匹配
+     *
+     * @param {Object} video - 候选视频（含title和可选的part）
+     * @param {Array<string>} titleNames - 歌名及其译名/别名，第一项为歌名
+     * @param {Array<string>} artistNames - 所有歌手名及其译名
+     * @returns {{score: number, name: string}} 评分（0-1）和命中的歌名或别名
+     */
+    const scoreTitle = (video, titleNames, artistNames) => {
+        let best = { score: 0, name: titleNames[0] }
+        for (const name of titleNames) {
+            for (const text of [video.title, video.part]) {
+                if (!text) continue
+                const score = similarityScorer.titleSimilarity(
+                    text,
+                    name,
+                    artistNames
+                )
+                if (score > best.score) best = { score, name }
+            }
+        }
+        return best
+    }
+
+    /**
+     * 候选视频评分排序
+     *
+     * 为每个候选计算加权综合评分，替代原有的逐级过滤：
+     * - 📝 标题相似度：similarityScorer，歌名和所有译名/别名中取最高
+     * - ⏱️ 时长差异：按绝对秒数差计算，不再按整分钟分桶
+     * - 📈 播放量：对数缩放
+     * - 👤 UP主信誉：歌手本人、官方账号或优先UP主加分
+     * - 🚫 关键词惩罚：翻唱、伴奏等非原版视频减分
+     *
+     * 综合评分 = Σ(信号评分 × 权重) / Σ权重 + 规则加分，权重和最低评分由配置项控制，
+     * 优先UP主和加分关键词各增加一份规则加分。
+     * 标题相似度过低、播放量低于阈值、UP主被屏蔽、标题包含排除关键词或综合评分不足的候选
+     * 会被标记为不合格，并在rejected中记录原因，但仍保留在结果列表中便于排查。
+     *
+     * @param {Array} videos - 视频对象数组
+     * @param {Object} song - 歌曲信息（buildSongInfo的返回值）
+     * @returns {Array} 按综合评分降序排列的候选数组，每项包含score、breakdown、rejected和accepted
+     */
+    const rankCandidates = (videos, song) => {
+        const endTimer = logger.time('rankCandidates')
+        const { name: songName, artistName } = song
+        // 歌名和译名/别名都作为标题比较对象，所有歌手及其译名都用于歌手匹配
+        const titleNames = [songName, ...song.aliases]
+        // 纯假名的歌名和别名补充罗马音写法，匹配罗马音标题的视频
+        titleNames.push(
+            ...titleNames
+                .map((name) => toRomaji(name))
+                .filter((romaji) => romaji && !titleNames.includes(romaji))
+        )
+        const artistNames = [...song.artists, ...song.artistAliases]
+        const weights = getScoreWeights()
+        const totalWeight =
+            Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1
+        const minScore = getNumberConfig('score-min', 60) / 100
+        const playThreshold = getNumberConfig('filter-play', 5000)
+        const audioSeconds = song.duration / 1000
+        const rules = getMatchRules()
+
+        const candidates = videos.map((video) => {
+            // 已获取详情的候选使用准确时长，否则解析搜索结果中的时长字符串
+            const exactSeconds =
+                video.exactSeconds ?? parseDuration(video.duration)
+            const keywordResult = scoreKeywords(
+                video.title,
+                titleNames.join(' '),
+                rules
+            )
+            const titleResult = scoreTitle(video, titleNames, artistNames)
+            const preferred = matchesUploader(video, rules.preferUploaders)
+            const blocked = matchesUploader(video, rules.blockUploaders)
+            const signals = {
+                // 多P视频的分P标题与视频标题取较高的相似度
+                title: titleResult.score,
+                duration: scoreDuration(exactSeconds, audioSeconds),
+                play: scorePlayCount(video.playCount),
+                uploader: preferred
+                    ? 1
+                    : scoreUploader(video.author, artistNames),
+                keyword: keywordResult.score,
+            }
+
+            // 各信号的评分明细
+            const breakdown = {}
+            let weightedSum = 0
+            for (const [signal, value] of Object.entries(signals)) {
+                breakdown[signal] = {
+                    score: Math.round(value * 100),
+                    weight: weights[signal],
+                }
+                weightedSum += value * weights[signal]
+            }
+            const bonus =
+                (preferred ? rules.bonus : 0) +
+                (keywordResult.boosted.length > 0 ? rules.bonus : 0)
+            const score = weightedSum / totalWeight + bonus
+
+            if (keywordResult.matched.length > 0) {
+                breakdown.keyword.matched = keywordResult.matched
+            }
+            if (keywordResult.boosted.length > 0) {
+                breakdown.keyword.boosted = keywordResult.boosted
+            }
+            if (preferred) breakdown.uploader.preferred = true
+            if (titleResult.name !== songName) {
+                breakdown.title.alias = titleResult.name
+            }
+
+            // 各过滤条件的检查结果，未通过的条件即为不合格原因
+            const checks = [
+                {
+                    name: '标题相似度',
+                    passed: signals.title >= TITLE_SIMILARITY_FLOOR,
+                    value: `${breakdown.title.score}%`,
+                    reason: `标题相似度低于${TITLE_SIMILARITY_FLOOR * 100}%`,
+                },
+                {
+                    name: '播放量',
+                    passed:
+                        playThreshold === -1 ||
+                        video.playCount >= playThreshold,
+                    value: formatCount(video.playCount),
+                    reason: `播放量低于${playThreshold}`,
+                },
+                {
+                    name: 'UP主',
+                    passed: !blocked,
+                    value: video.author || String(video.mid || ''),
+                    reason: 'UP主已被屏蔽',
+                },
+                {
+                    name: '排除关键词',
+                    passed: keywordResult.matched.length === 0,
+                    value: keywordResult.matched.join('、') || '无',
+                    reason: `标题包含排除关键词：${keywordResult.matched.join(
+                        '、'
+                    )}`,
+                },
+                {
+                    name: '综合评分',
+                    passed: score >= minScore,
+                    value: String(Math.round(score * 100)),
+                    reason: `综合评分低于${Math.round(minScore * 100)}`,
+                },
+            ]
+            const rejected = checks
+                .filter((check) => !check.passed)
+                .map((check) => check.reason)
+
+            return {
+                ...video,
+                exactSeconds,
+                score,
+                bonus,
+                breakdown,
+                checks,
+                rejected,
+                accepted: rejected.length === 0,
+            }
+        })
+
+        candidates.sort((a, b) => b.score - a.score)
+
+        logger.debug('候选视频评分完成', {
+            songName,
+            artistName,
+            audioSeconds,
+            weights,
+            minScore,
+            candidates: candidates.map((c) => ({
+                title: c.title,
+                part: c.part,
+                videoKey: getVideoKey(c),
+                score: Math.round(c.score * 100),
+                bonus: Math.round(c.bonus * 100),
+                breakdown: c.breakdown,
+                rejected: c.rejected,
+            })),
+        })
+
+        endTimer()
+        return candidates
+    }
+
+    /**
+     * 获取视频详情
+     * 调用view接口获取视频的分P列表和准确时长
+     *
+     * @param {string} bvid - 视频的bvid
+     * @param {AbortSignal} [signal] - 取消信号，取消时抛出而不是返回null
+     * @returns {Promise<Object|null>} 视频详情数据，获取失败时返回null
+     */
+    const fetchVideoDetail = async (bvid, signal) => {
+        try {
+            const result = await biliApi.request(
+                'https://api.bilibili.com/x/web-interface/view',
+                { bvid },
+                { signal }
+            )
+
+            logger.debug('获取视频详情完成', {
+                bvid,
+                duration: result.data.duration,
+                pageCount: result.data.pages?.length || 0,
+            })
+            return result.data
+        } catch (error) {
+            // 取消和风控需要中止整个流程，其余错误只影响这一个视频
+            if (signal?.aborted || error.riskControl) throw error
+            logger.warn('获取视频详情失败', {
+                bvid,
+                code: error.code,
+                error: error.message,
+            })
+            return null
+        }
+    }
+
+    // 每轮评分后获取详情的候选数量
+    const SHORTLIST_SIZE = 5
+
+    /**
+     * 展开候选视频的分P信息
+     *
+     * 搜索结果中的时长是所有分P的总时长，合集类视频无法据此匹配，
+     * 因此对入围候选调用view接口：
+     * - 单P视频：用接口返回的准确时长替换搜索结果时长
+     * - 多P视频：每个分P作为独立候选，记录page、cid和分P标题
+     * - 获取失败：保留原候选，不再重复获取
+     *
+     * @param {Array} videos - 入围的候选视频数组
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Array>} 展开后的候选数组，均带有detailed标记
+     */
+    const expandCandidatePages = async (videos, signal) => {
+        const details = await Promise.all(
+            videos.map((video) => fetchVideoDetail(video.bvid, signal))
+        )
+
+        return videos.flatMap((video, index) => {
+            const detail = details[index]
+            const pages = detail?.pages || []
+
+            if (pages.length <= 1) {
+                return [
+                    {
+                        ...video,
+                        detailed: true,
+                        cid: pages[0]?.cid,
+                        exactSeconds:
+                            pages[0]?.duration ??
+                            detail?.duration ??
+                            video.exactSeconds,
+                    },
+                ]
+            }
+
+            logger.debug('展开多P视频', {
+                bvid: video.bvid,
+                title: video.title,
+                parts: pages.map((page) => page.part),
+            })
+            return pages.map((page) => ({
+                ...video,
+                detailed: true,
+                page: page.page,
+                cid: page.cid,
+                part: page.part,
+                exactSeconds: page.duration,
+            }))
+        })
+    }
+
+    /**
+     * 对候选池评分，并为排名靠前的候选获取视频详情后重新评分
+     * 最多进行3轮，直到排名前SHORTLIST_SIZE的候选都已获取详情
+     *
+     * @param {Map} pool - 候选池，键为视频标识，展开分P时会被原地更新
+     * @param {Object} song - 歌曲信息
+     * @param {Array<string>} blacklist - 需要排除的视频标识列表
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Array>} 按综合评分降序排列的候选数组
+     */
+    const rankWithDetails = async (pool, song, blacklist, signal) => {
+        const rank = () => rankCandidates([...pool.values()], song)
+
+        let candidates = rank()
+        for (let round = 0; round < 3; round++) {
+            const shortlist = candidates
+                .slice(0, SHORTLIST_SIZE)
+                .filter((candidate) => !candidate.detailed)
+            if (shortlist.length === 0) break
+
+            const expanded = await expandCandidatePages(shortlist, signal)
+            shortlist.forEach((candidate) =>
+                pool.delete(getVideoKey(candidate))
+            )
+            expanded
+                .filter(
+                    (candidate) => !blacklist.includes(getVideoKey(candidate))
+                )
+                .forEach((candidate) =>
+                    pool.set(getVideoKey(candidate), candidate)
+                )
+
+            candidates = rank()
+        }
+
+        return candidates
+    }
+
+    /**
+     * 按搜索策略逐个搜索并评分，直到找到合格候选
+     *
+     * 搜索顺序：
+     * - 按buildSearchStrategies的顺序依次尝试每个策略
+     * - 每个策略最多搜索 search-pages 页，结果页用尽时提前切换策略
+     * - 所有策略的结果汇总到同一候选池中统一评分（按bvid去重）
+     * - 排名靠前的候选会获取视频详情，多P视频按分P展开为独立候选
+     * - 一旦出现达到最低评分的候选立即停止搜索
+     *
+     * @param {Object} song - 歌曲信息
+     * @param {Array<string>} blacklist - 需要排除的bvid列表
+     * @param {AbortSignal} [signal] - 取消信号，取消后不再尝试后续策略
+     * @returns {Promise<{selected: Object|null, candidates: Array, searched: boolean}>}
+     *   selected为选中的候选，candidates为全部已评分候选，searched表示是否至少有一次搜索成功
+     */
+    const findBestCandidate = async (song, blacklist, signal) => {
+        const maxPages = Math.max(1, getNumberConfig('search-pages', 2))
+        const pool = new Map() // 候选池，键为视频标识（getVideoKey）
+        const seenBvids = new Set() // 已加入过候选池的bvid
+        let candidates = []
+        let searched = false
+
+        for (const strategy of buildSearchStrategies(song)) {
+            for (let page = 1; page <= maxPages; page++) {
+                signal?.throwIfAborted()
+                logger.info('搜索关键词', {
+                    strategy: strategy.name,
+                    keyword: strategy.keyword,
+                    page,
+                })
+
+                let searchResult
+                try {
+                    searchResult = await searchVideo(
+                        strategy.keyword,
+                        page,
+                        signal
+                    )
+                } catch (error) {
+                    // 风控时继续尝试其他策略只会延长退避，直接中止搜索
+                    if (signal?.aborted || error.riskControl) throw error
+                    logger.error('搜索失败', error)
+                    break // 当前策略失败，尝试下一个策略
+                }
+                searched = true
+
+                // 解析结果为标准格式，并排除用户标记为错误的视频
+                const results = parseSearchResults(searchResult)
+                if (results.length === 0) {
+                    logger.debug('搜索结果为空，尝试下一个策略', {
+                        strategy: strategy.name,
+                        page,
+                    })
+                    break
+                }
+
+                const newVideos = results.filter(
+                    (video) =>
+                        !blacklist.includes(video.bvid) &&
+                        !seenBvids.has(video.bvid)
+                )
+                newVideos.forEach((video) => {
+                    seenBvids.add(video.bvid)
+                    pool.set(video.bvid, { ...video, strategy: strategy.name })
+                })
+
+                logger.info('搜索结果解析完成', {
+                    strategy: strategy.name,
+                    page,
+                    totalVideos: results.length,
+                    newVideos: newVideos.length,
+                    excludedByBlacklist: results.filter((video) =>
+                        blacklist.includes(video.bvid)
+                    ).length,
+                    videoTitles: newVideos.map((v) => v.title),
+                })
+
+                // 候选池有变化时重新评分
+                if (newVideos.length > 0) {
+                    candidates = await rankWithDetails(
+                        pool,
+                        song,
+                        blacklist,
+                        signal
+                    )
+                    const selected = candidates.find((c) => c.accepted)
+                    if (selected) {
+                        return { selected, candidates, searched }
                     }
                 }
 
-                // 检查是否处于网页全屏状态，若不是则重新进入
-                const isFullScreen =
-                    ifr.contentDocument.querySelector('.mode-webscreen')
-                if (
-                    !isFullScreen &&
-                    now - lastFullScreenCheck > FULL_SCREEN_CHECK_INTERVAL
-                ) {
-                    btnFullScreen.click()
-                    lastFullScreenCheck = now
-                    logger.debug('重新进入网页全屏模式')
-                }
+                // 已到达最后一页
+                if (page >= (searchResult.data?.numPages || 1)) break
+            }
+        }
+
+        return { selected: null, candidates, searched }
+    }
+
+    /**
+     * 缓存搜索结果
+     * 将歌曲和对应的视频写入持久化缓存，避免重复搜索
+     * match为null时写入负缓存，表示该歌曲未找到匹配视频
+     *
+     * @param {string} songKey - 歌曲缓存键（网易云歌曲ID）
+     * @param {Object|null} match - 视频匹配结果 { bvid, page? }，未找到时为null
+     */
+    const cacheResult = (songKey, match) => {
+        logger.debug('缓存搜索结果', { songKey, match })
+        matchCache.set(songKey, match)
+    }
+
+    // 影响搜索范围和候选评分的配置项，变化后之前的评分结果不再可用
+    const CANDIDATE_CONFIG_KEYS = [
+        'search-kwd',
+        'search-pages',
+        'filter-length',
+        'filter-play',
+        'weight-title',
+        'weight-duration',
+        'weight-play',
+        'weight-uploader',
+        'weight-keyword',
+        'score-min',
+        'uploader-prefer',
+        'uploader-block',
+        'keyword-reject',
+        'keyword-boost',
+        'rule-bonus',
+    ]
+
+    // 最多保留评分结果的歌曲数（当前歌曲和预加载的下一首）
+    const CANDIDATE_CACHE_SIZE = 4
+
+    // 自动搜索的候选列表，键为歌曲缓存键，值为 { signature, candidates }，供候选视频面板复用
+    const candidateCache = new Map()
+
+    /**
+     * 生成候选列表的有效性签名
+     * 黑名单或评分规则变化后签名不同，旧的评分结果随之失效
+     *
+     * @param {string} songKey - 歌曲缓存键
+     * @returns {string} 签名
+     */
+    const getCandidateSignature = (songKey) =>
+        JSON.stringify([
+            songPrefs.get(songKey).blacklist,
+            CANDIDATE_CONFIG_KEYS.map((key) => config[key]),
+        ])
+
+    /**
+     * 保存歌曲的候选列表，超出上限时淘汰最早保存的歌曲
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Array<Object>} candidates - 评分后的候选视频
+     */
+    const rememberCandidates = (songKey, candidates) => {
+        candidateCache.delete(songKey)
+        candidateCache.set(songKey, {
+            signature: getCandidateSignature(songKey),
+            candidates,
+        })
+        if (candidateCache.size > CANDIDATE_CACHE_SIZE) {
+            candidateCache.delete(candidateCache.keys().next().value)
+        }
+    }
+
+    /**
+     * 智能视频搜索主函数（带缓存）
+     *
+     * 搜索流程（5步智能匹配）：
+     * 0. 📌 手动固定：用户固定的视频优先于所有自动流程
+     * 1. 🗂️ 缓存查找：检查是否已有缓存结果（包括未匹配的负缓存）
+     * 2. 🔍 多策略搜索：按模板、别名、专辑、罗马音等策略逐个搜索多页结果
+     * 3. 🏅 评分排序：按标题、时长、播放量、UP主、关键词加权评分，排除黑名单
+     * 4. 💾 缓存结果：将匹配结果持久化缓存，未找到匹配时写入负缓存
+     *
+     * 算法特点：
+     * - 渐进降级：当前策略找到合格候选后立即停止，否则继续尝试后续策略
+     * - 加权评分：单个信号不达标不会直接清空候选列表
+     * - 性能优化：缓存机制避免重复API调用
+     * - 容错处理：各阶段失败都有优雅降级
+     *
+     * @param {Object} song - 歌曲信息
+     * @param {string} song.songKey - 歌曲缓存键（网易云歌曲ID）
+     * @param {string} song.name - 歌曲名
+     * @param {string} song.artistName - 主歌手名
+     * @param {Array<string>} song.artists - 所有歌手名
+     * @param {Array<string>} song.artistAliases - 歌手译名和别名
+     * @param {Array<string>} song.aliases - 歌曲译名和别名
+     * @param {string} song.album - 专辑名
+     * @param {number} song.duration - 音频时长（毫秒）
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Object|null>} 返回视频匹配结果 { bvid, page? }，未找到返回null
+     */
+    const searchVideoWithCache = async (song, signal) => {
+        const endTimer = logger.time('searchVideoWithCache')
+        const { songKey } = song
+
+        logger.info('开始智能视频搜索', {
+            songKey,
+            songName: song.name,
+            artists: song.artists,
+            artistAliases: song.artistAliases,
+            aliases: song.aliases,
+            album: song.album,
+            audioDuration: song.duration / 1000,
+        })
+
+        // 步骤0：用户手动固定的视频优先
+        const prefs = songPrefs.get(songKey)
+        if (prefs.pin) {
+            logger.info('使用手动固定的视频', {
+                songKey,
+                videoKey: getVideoKey(prefs.pin),
+            })
+            endTimer()
+            return prefs.pin
+        }
+
+        // 步骤1：先查找缓存（已被加入黑名单的缓存结果视为失效）
+        const cached = matchCache.get(songKey)
+        if (
+            cached?.match &&
+            prefs.blacklist.includes(getVideoKey(cached.match))
+        ) {
+            logger.info('缓存结果已被加入黑名单，重新搜索', {
+                songKey,
+                videoKey: getVideoKey(cached.match),
+            })
+            matchCache.delete(songKey)
+        } else if (cached) {
+            logger.info(cached.match ? '使用缓存结果' : '使用未匹配缓存', {
+                songKey,
+                videoKey: cached.match ? getVideoKey(cached.match) : null,
+                cachedAt: new Date(cached.createdAt).toISOString(),
+            })
+            endTimer()
+            return cached.match
+        }
+
+        // 步骤2-3：多策略搜索并评分
+        const { selected, candidates, searched } = await findBestCandidate(
+            song,
+            prefs.blacklist,
+            signal
+        )
+        // 被取消（切歌或超时）的搜索不再写入缓存
+        signal?.throwIfAborted()
+        rememberCandidates(songKey, candidates)
+
+        if (!selected) {
+            logger.warn('所有搜索策略均未找到合格候选', {
+                songName: song.name,
+                artistName: song.artistName,
+                candidateCount: candidates.length,
+                minScore: getNumberConfig('score-min', 60),
+                bestCandidate: candidates[0]
+                    ? {
+                          title: candidates[0].title,
+                          score: Math.round(candidates[0].score * 100),
+                          rejected: candidates[0].rejected,
+                      }
+                    : null,
+            })
+            // 只有搜索成功但没有合格结果时才写入负缓存，网络错误不缓存
+            if (searched) cacheResult(songKey, null)
+            endTimer()
+            return null
+        }
+
+        // 步骤4：返回结果并缓存
+        logger.info('搜索完成，选择视频', {
+            title: selected.title,
+            part: selected.part,
+            videoKey: getVideoKey(selected),
+            duration: selected.exactSeconds,
+            playCount: selected.playCount,
+            author: selected.author,
+            strategy: selected.strategy,
+            score: Math.round(selected.score * 100),
+            breakdown: selected.breakdown,
+            searchProcess: {
+                totalCandidates: candidates.length,
+                acceptedCandidates: candidates.filter((c) => c.accepted).length,
+            },
+        })
+
+        // 只有多P视频的分P才记录page
+        const match = selected.page
+            ? { bvid: selected.bvid, page: selected.page }
+            : { bvid: selected.bvid }
+        cacheResult(songKey, match)
+        endTimer()
+        return match
+    }
+
+    /**
+     * 获取当前播放歌曲信息的闭包函数
+     * 使用缓存机制优化性能，避免重复搜索网易云API函数
+     * 基于LibSongInfo库实现
+     *
+     * 缓存机制说明：
+     * - 使用Map缓存已找到的API函数
+     * - 避免重复调用BetterNCM的findApiFunction
+     * - 提高性能，减少函数查找开销
+     */
+    const getPlayingSong = (() => {
+        // 函数缓存Map，避免重复查找API函数
+        const cachedFunctionMap = new Map()
+
+        // LibSongInfo库参考：https://github.com/Steve-xmh/LibSongInfo/blob/main/index.ts
+
+        /**
+         * 调用缓存的搜索函数
+         * 使用缓存机制查找并调用网易云音乐的API函数
+         *
+         * 缓存策略：
+         * 1. 检查函数是否已缓存
+         * 2. 未缓存时通过BetterNCM API查找函数
+         * 3. 绑定函数到正确上下文并缓存
+         * 4. 执行缓存的函数
+         *
+         * @param {string} searchFunctionName - 要查找的函数名
+         * @param {Array} args - 传递给函数的参数数组
+         * @returns {*} 函数执行结果
+         * @throws {TypeError} 当函数未找到时抛出异常
+         */
+        function callCachedSearchFunction(searchFunctionName, args) {
+            // 检查函数是否已缓存
+            if (!cachedFunctionMap.has(searchFunctionName.toString())) {
+                // 通过BetterNCM API查找网易云音乐的内部函数
+                const findResult =
+                    betterncm.ncm.findApiFunction(searchFunctionName)
+                if (findResult) {
+                    const [func, funcRoot] = findResult
+                    // 绑定函数到正确的上下文并缓存
+                    cachedFunctionMap.set(
+                        searchFunctionName.toString(),
+                        func.bind(funcRoot)
+                    )
+                }
+            }
+
+            // 获取缓存的函数
+            const cachedFunc = cachedFunctionMap.get(
+                searchFunctionName.toString()
+            )
+            if (cachedFunc) {
+                return cachedFunc.apply(null, args) // 执行函数并返回结果
+            } else {
+                throw new TypeError(
+                    `函数 ${searchFunctionName.toString()} 未找到`
+                )
+            }
+        }
+
+        /**
+         * 获取当前正在播放的歌曲信息
+         * @returns {Object} 返回包含歌曲名、歌手、时长等信息的对象
+         */
+        return function getPlayingSong() {
+            return callCachedSearchFunction('getPlaying', []) // 调用网易云的getPlaying函数
+        }
+    })()
+
+    // 当前用于播放的视频元素（iframe内的video或直连模式的streamVideo），用于控制播放
+    let activeVideo = null
+
+    // 当前歌曲与正在播放的视频，供手动固定和黑名单操作使用
+    let currentSong = null
+    let currentMatch = null
+
+    // 当前视频的音画偏移（视频时间 - 音频时间，秒），以及最近一次的音频进度
+    let currentOffset = 0
+    let lastProgress = 0
+
+    // 首选画质对应的Bilibili清晰度代码（qn）
+    const QUALITY_CODES = { 360: 16, 480: 32, 720: 64, 1080: 80 }
+    // 直连模式自动画质时请求的清晰度（1080P），实际取账号可用的最高一档
+    const AUTO_STREAM_QUALITY = 80
+    // 省电模式降低画质时使用的清晰度（360P）
+    const POWER_SAVING_QUALITY = 16
+    // 进入省电模式前的等待时间，避免短暂切换窗口时反复切换画质
+    const POWER_SAVING_DELAY = 3000
+
+    // 是否处于省电状态
+    let powerSaving = false
+    let powerSavingTimer = null
+    // 直连模式当前加载的清晰度，undefined表示未加载
+    let streamQuality = undefined
+
+    /**
+     * 计算当前应使用的清晰度
+     * @returns {number|null} 清晰度代码（qn），null为自动
+     */
+    const getTargetQuality = () => {
+        if (powerSaving && config['power-saving'] === 'low') {
+            return POWER_SAVING_QUALITY
+        }
+        return QUALITY_CODES[config['video-quality']] ?? null
+    }
+
+    /**
+     * 是否处于静止画面省电状态，此时视频保持暂停，不参与进度同步
+     * @returns {boolean}
+     */
+    const isStillFrame = () => powerSaving && config['power-saving'] === 'still'
+
+    /**
+     * 请求网页播放器切换画质
+     *
+     * 通过Bilibili网页播放器暴露的window.player.requestQuality接口切换，
+     * 播放器初始化较慢，最多等待5秒；加载被取消时停止等待
+     *
+     * @param {number|null} quality - 清晰度代码（qn），null为自动
+     * @param {HTMLIFrameElement} [frame=ifr] - 要设置画质的iframe
+     * @param {AbortSignal} [signal] - 所属加载的取消信号
+     */
+    const applyIframeQuality = async (quality, frame = ifr, signal) => {
+        const deadline = Date.now() + 5000
+        let player = null
+        while (!(player = frame.contentWindow?.player)?.requestQuality) {
+            if (signal?.aborted) return
+            if (Date.now() > deadline) {
+                logger.debug('网页播放器未提供画质接口，跳过画质设置')
+                return
+            }
+            await betterncm.utils.delay(250)
+        }
+        if (signal?.aborted) return
+
+        try {
+            // 清晰度0表示自动
+            await player.requestQuality(quality ?? 0)
+            logger.debug('网页播放器画质已设置', {
+                quality: quality ?? 'auto',
+            })
+        } catch (error) {
+            logger.warn('网页播放器画质设置失败', {
+                quality,
+                error: error.message,
+            })
+        }
+    }
+
+    /**
+     * 以新的清晰度重新加载直连视频，保持当前播放进度
+     *
+     * 新画质的地址全部加载失败时恢复原来的视频流
+     *
+     * @param {number|null} quality - 清晰度代码（qn），null为自动
+     */
+    const applyStreamQuality = async (quality) => {
+        if (quality === streamQuality || !currentMatch) return
+
+        const match = currentMatch
+        const previousSrc = streamVideo.src
+        const time = streamVideo.currentTime
+        const paused = streamVideo.paused
+        const sources = [
+            ...new Set(await resolveStreamSources(match, quality)),
+        ].filter(Boolean)
+
+        // 取流期间切换了歌曲，放弃本次切换
+        if (currentMatch !== match || activeVideo !== streamVideo) return
+
+        for (const url of sources) {
+            if (await tryStreamSource(url)) {
+                streamQuality = quality
+                streamVideo.currentTime = time
+                if (!paused && !isStillFrame()) streamVideo.play()
+                driftController.reset(streamVideo)
+                logger.info('直连模式画质已切换', {
+                    quality: quality ?? 'auto',
+                })
+                return
+            }
+        }
+
+        logger.warn('直连模式画质切换失败，保持原画质', {
+            quality: quality ?? 'auto',
+        })
+        if (await tryStreamSource(previousSrc)) {
+            streamVideo.currentTime = time
+            if (!paused && !isStillFrame()) streamVideo.play()
+        }
+    }
+
+    /**
+     * 将当前目标画质应用到正在使用的播放器
+     */
+    const applyQuality = () => {
+        if (!activeVideo) return
+        const quality = getTargetQuality()
+        if (activeVideo === streamVideo) {
+            applyStreamQuality(quality)
+        } else {
+            applyIframeQuality(quality)
+        }
+    }
+
+    /**
+     * 判断当前是否应进入省电状态
+     *
+     * 窗口最小化、失去焦点或开启模糊效果时，背景视频不需要高画质
+     *
+     * @returns {string|null} 进入省电状态的原因，不需要时返回null
+     */
+    const getPowerSavingReason = () => {
+        if (config['power-saving'] === 'off') return null
+        if (document.hidden) return 'minimized'
+        if (!document.hasFocus()) return 'unfocused'
+        if (config.blur) return 'blur'
+        return null
+    }
+
+    /**
+     * 根据窗口状态和配置更新省电状态
+     *
+     * 进入省电状态前等待POWER_SAVING_DELAY，退出时立即恢复
+     */
+    const updatePowerSaving = () => {
+        clearTimeout(powerSavingTimer)
+        const reason = getPowerSavingReason()
+
+        if (!reason) {
+            if (powerSaving) setPowerSaving(false, null)
+            return
+        }
+        if (!powerSaving) {
+            powerSavingTimer = setTimeout(
+                () => setPowerSaving(true, getPowerSavingReason()),
+                POWER_SAVING_DELAY
+            )
+        }
+    }
+
+    /**
+     * 切换省电状态并应用到播放器
+     * @param {boolean} enabled - 是否进入省电状态
+     * @param {string|null} reason - 进入省电状态的原因
+     */
+    const setPowerSaving = (enabled, reason) => {
+        if (enabled && !reason) return // 等待期间条件已经消失
+        if (enabled === powerSaving) return
+        powerSaving = enabled
+
+        logger.info(enabled ? '进入省电模式' : '退出省电模式', {
+            mode: config['power-saving'],
+            reason,
+        })
+
+        if (config['power-saving'] === 'still') {
+            if (enabled) {
+                activeVideo?.pause()
+            } else {
+                // 恢复后由下一次PlayProgress定位到当前进度并继续播放
+                driftController.reset(activeVideo)
+            }
+        }
+        applyQuality()
+    }
+
+    window.addEventListener('focus', updatePowerSaving)
+    window.addEventListener('blur', updatePowerSaving)
+    document.addEventListener('visibilitychange', updatePowerSaving)
+    updatePowerSaving() // 按启动时的窗口状态初始化
+
+    /**
+     * 后台状态监视器
+     *
+     * 窗口最小化或离开播放页时背景视频不可见，继续解码只会浪费资源：
+     * - ⏸️ 暂停：不可见超过background-pause秒后暂停视频，停止解码
+     * - 🗑️ 卸载：不可见超过background-unload秒后卸载播放器，释放网络和内存
+     * - ▶️ 恢复：重新可见时暂停的视频由下一次PlayProgress定位到当前进度，
+     *   已卸载的视频重新加载当前歌曲
+     *
+     * @namespace backgroundMonitor
+     */
+    const backgroundMonitor = {
+        inactiveSince: null, // 开始不可见的时间
+        paused: false, // 是否因不可见而暂停
+        unloaded: false, // 是否因不可见而卸载
+        pauseTimer: null,
+        unloadTimer: null,
+        // 累计节省的时间（秒），用于日志统计
+        totals: { pausedSeconds: 0, unloadedSeconds: 0 },
+        suspendedAt: null, // 本次暂停或卸载开始的时间
+        pausedAt: null,
+        unloadedAt: null,
+
+        /**
+         * 当前路由是否属于播放页
+         * @returns {boolean}
+         */
+        isPlayerRoute() {
+            const routes = getListConfig('player-routes')
+            return (
+                routes.length === 0 ||
+                routes.some((route) => location.hash.startsWith(route))
+            )
+        },
+
+        /**
+         * 背景视频当前是否可见
+         * @returns {boolean}
+         */
+        isVisible() {
+            return !document.hidden && this.isPlayerRoute()
+        },
+
+        /**
+         * 视频是否因不可见而停止同步
+         * @returns {boolean}
+         */
+        isSuspended() {
+            return this.paused || this.unloaded
+        },
+
+        /**
+         * 根据可见性和配置安排暂停、卸载或立即恢复
+         */
+        update() {
+            clearTimeout(this.pauseTimer)
+            clearTimeout(this.unloadTimer)
+
+            if (this.isVisible()) {
+                this.inactiveSince = null
+                this.resume()
+                return
+            }
+
+            this.inactiveSince ??= Date.now()
+            const elapsed = Date.now() - this.inactiveSince
+            const pauseDelay = getNumberConfig('background-pause', 5)
+            const unloadDelay = getNumberConfig('background-unload', 120)
+
+            if (pauseDelay >= 0 && !this.isSuspended()) {
+                this.pauseTimer = setTimeout(
+                    () => this.pause(),
+                    Math.max(0, pauseDelay * 1000 - elapsed)
+                )
+            }
+            if (unloadDelay >= 0 && !this.unloaded) {
+                this.unloadTimer = setTimeout(
+                    () => this.unload(),
+                    Math.max(0, unloadDelay * 1000 - elapsed)
+                )
+            }
+        },
+
+        /**
+         * 暂停背景视频
+         */
+        pause() {
+            if (this.isSuspended()) return
+            this.paused = true
+            this.pausedAt = this.suspendedAt = Date.now()
+            activeVideo?.pause()
+            logger.info('背景视频不可见，已暂停', {
+                hidden: document.hidden,
+                route: location.hash,
+            })
+        },
+
+        /**
+         * 卸载背景视频，释放播放器占用的网络和内存
+         */
+        async unload() {
+            if (this.unloaded || !activeVideo) return
+            this.settlePaused()
+            this.unloaded = true
+            this.unloadedAt = Date.now()
+            this.suspendedAt ??= this.unloadedAt
+
+            const heapBefore = performance.memory?.usedJSHeapSize
+            resetPlayerState()
+            discardPrefetch()
+            await hidePlayers()
+            logger.info('背景视频长时间不可见，已卸载', {
+                videoKey: currentMatch && getVideoKey(currentMatch),
+                heapMB: heapBefore && Math.round(heapBefore / 1024 / 1024),
+            })
+        },
+
+        /**
+         * 把暂停时长计入统计
+         */
+        settlePaused() {
+            if (!this.paused) return
+            this.totals.pausedSeconds += (Date.now() - this.pausedAt) / 1000
+            this.paused = false
+            this.pausedAt = null
+        },
+
+        /**
+         * 恢复背景视频并记录本次节省的资源
+         */
+        resume() {
+            if (!this.isSuspended()) return
+
+            const wasUnloaded = this.unloaded
+            const suspendedSeconds = (Date.now() - this.suspendedAt) / 1000
+            this.suspendedAt = null
+            this.settlePaused()
+            if (wasUnloaded) {
+                this.totals.unloadedSeconds +=
+                    (Date.now() - this.unloadedAt) / 1000
+                this.unloaded = false
+                this.unloadedAt = null
+            }
+
+            logger.info('背景视频恢复可见', {
+                action: wasUnloaded ? 'reload' : 'resume',
+                suspendedSeconds: Math.round(suspendedSeconds),
+                totalPausedSeconds: Math.round(this.totals.pausedSeconds),
+                totalUnloadedSeconds: Math.round(this.totals.unloadedSeconds),
+            })
+
+            if (wasUnloaded) {
+                // 重新加载当前歌曲的视频，加载完成后由PlayProgress追上进度
+                reloadVideo()
+            } else {
+                // 由下一次PlayProgress定位到当前进度并继续播放
+                driftController.reset(activeVideo)
+            }
+        },
+    }
+
+    document.addEventListener('visibilitychange', () =>
+        backgroundMonitor.update()
+    )
+    window.addEventListener('hashchange', () => backgroundMonitor.update())
+    backgroundMonitor.update() // 按启动时的窗口状态初始化
+
+    // 网页播放器闲置时加载的轻量页面
+    const IDLE_IFRAME_URL = 'https://www.bilibili.com/robots.txt'
+
+    /**
+     * 获取视频分P的直连视频流地址
+     *
+     * 优先请求DASH格式（fnval=16），选择不高于目标画质的最高一档，
+     * 同一画质下优先H.264编码以保证兼容性；
+     * 请求失败或没有DASH数据时退回MP4格式（fnval=1）。
+     * 只需要画面，因此不获取音频轨。
+     *
+     * @param {{bvid: string, page?: number}} match - 匹配的视频
+     * @param {number|null} quality - 目标清晰度代码（qn），null为自动
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<string[]>} 按优先级排列的视频流地址（含备用地址），失败返回空数组
+     */
+    const resolveStreamSources = async (match, quality, signal) => {
+        const qn = quality ?? AUTO_STREAM_QUALITY
+        const detail = await fetchVideoDetail(match.bvid, signal)
+        const cid =
+            detail?.pages?.find((page) => page.page === (match.page || 1))
+                ?.cid || detail?.cid
+        if (!cid) return []
+
+        for (const fnval of [16, 1]) {
+            try {
+                const result = await biliApi.request(
+                    'https://api.bilibili.com/x/player/wbi/playurl',
+                    { bvid: match.bvid, cid, qn, fnval, fourk: 0 },
+                    { signal, sign: true }
+                )
+
+                const { dash, durl } = result.data
+                if (dash?.video?.length) {
+                    // 不高于目标画质的优先，其次画质从高到低，同画质下H.264（codecid 7）兼容性最好
+                    const tracks = [...dash.video].sort(
+                        (a, b) =>
+                            (b.id <= qn) - (a.id <= qn) ||
+                            b.id - a.id ||
+                            (b.codecid === 7) - (a.codecid === 7) ||
+                            b.bandwidth - a.bandwidth
+                    )
+                    return tracks.flatMap((track) => [
+                        track.baseUrl || track.base_url,
+                        ...(track.backupUrl || track.backup_url || []),
+                    ])
+                }
+                if (durl?.length) {
+                    return durl.flatMap((item) => [
+                        item.url,
+                        ...(item.backup_url || []),
+                    ])
+                }
+            } catch (error) {
+                if (signal?.aborted || error.riskControl) throw error
+                logger.warn('获取视频流地址失败', {
+                    bvid: match.bvid,
+                    fnval,
+                    code: error.code,
+                    error: error.message,
+                })
+            }
+        }
+        return []
+    }
+
+    /**
+     * 尝试用直连视频元素加载一个视频流地址
+     *
+     * @param {string} url - 视频流地址
+     * @param {number} [timeout=10000] - 等待首帧的超时时间（毫秒）
+     * @param {HTMLVideoElement} [video=streamVideo] - 加载视频流的元素
+     * @returns {Promise<boolean>} 是否成功加载出画面
+     */
+    const tryStreamSource = (url, timeout = 10000, video = streamVideo) =>
+        new Promise((resolve) => {
+            const finish = (ok) => {
+                clearTimeout(timer)
+                video.removeEventListener('loadeddata', onLoaded)
+                video.removeEventListener('error', onError)
+                resolve(ok)
+            }
+            const onLoaded = () => finish(true)
+            const onError = () => finish(false)
+            const timer = setTimeout(() => finish(false), timeout)
+
+            video.addEventListener('loadeddata', onLoaded)
+            video.addEventListener('error', onError)
+            video.src = url
+        })
+
+    /**
+     * 停止直连视频并释放视频流
+     * @param {HTMLVideoElement} [video=streamVideo] - 要停止的视频元素
+     */
+    const stopStreamPlayer = (video = streamVideo) => {
+        video.pause()
+        video.removeAttribute('src')
+        video.load() // 触发资源释放，断开与CDN的连接
+        video.style.display = 'none'
+        if (video === streamVideo) streamQuality = undefined
+    }
+
+    // 播放层的使用代数：每次有加载开始操作播放层时递增，
+    // 交叉淡化结束时据此判断旧播放层是否已经交给了更新的加载
+    let layerGeneration = 0
+
+    /**
+     * 以直连模式加载匹配的视频
+     *
+     * 成功时隐藏网页播放器，只保留插件自己的<video>；
+     * 所有地址都加载失败时返回null，由调用方回退到网页播放器。
+     *
+     * @param {{bvid: string, page?: number}} match - 匹配的视频
+     * @param {AbortSignal} [signal] - 取消信号，取消时停止尝试剩余地址
+     * @returns {Promise<HTMLVideoElement|null>} 加载成功的视频元素
+     */
+    const loadStreamPlayer = async (match, signal) => {
+        layerGeneration++
+        const quality = getTargetQuality()
+        const sources = [
+            ...new Set(await resolveStreamSources(match, quality, signal)),
+        ].filter(Boolean)
+        if (sources.length === 0) return null
+
+        await fadeOut(streamVideo)
+        signal?.throwIfAborted()
+        streamVideo.style.display = 'block'
+
+        for (const url of sources) {
+            const loaded = await tryStreamSource(url)
+            signal?.throwIfAborted()
+            if (loaded) {
+                streamQuality = quality
+                logger.info('直连模式加载完成', {
+                    videoKey: getVideoKey(match),
+                    quality: quality ?? 'auto',
+                    host: new URL(url).host,
+                })
+                await hideIframePlayer()
+                await fadeIn(streamVideo)
+                return streamVideo
+            }
+            logger.debug('视频流地址加载失败，尝试下一个', {
+                host: new URL(url).host,
+            })
+        }
+
+        stopStreamPlayer()
+        return null
+    }
+
+    /**
+     * 隐藏网页播放器，停止iframe内的视频播放和网络请求
+     *
+     * 导航到B站域名下的轻量页面而不是about:blank，
+     * 保持iframe与B站同源，API请求仍可携带登录状态
+     *
+     * @param {HTMLIFrameElement} [frame=ifr] - 要隐藏的iframe
+     * @param {Function} [isHandedOver] - 淡出结束后返回true时放弃隐藏（iframe已交给新的加载）
+     */
+    const hideIframePlayer = async (frame = ifr, isHandedOver) => {
+        if (frame.style.display === 'none') return
+        await fadeOut(frame)
+        if (isHandedOver?.()) return
+        frame.style.display = 'none'
+        frame.onload = null
+        frame.src = IDLE_IFRAME_URL
+    }
+
+    /**
+     * 以网页播放器加载视频页面，并停止直连视频
+     *
+     * @param {string} videoUrl - 视频页面URL
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<HTMLVideoElement>} iframe内部的视频元素
+     */
+    const loadIframePlayer = async (videoUrl, signal) => {
+        layerGeneration++
+        if (streamVideo.style.display !== 'none') {
+            await fadeOut(streamVideo)
+            stopStreamPlayer()
+        }
+
+        // 确保播放器可见
+        ifr.style.display = 'block'
+
+        // 切换到视频页面并初始化播放器
+        await switchUrl(videoUrl, initBiliPlayer, {
+            signal,
+            timeout: LOAD_TIMEOUTS.page,
+        })
+
+        // 等待并获取iframe内部的video元素
+        return waitUntil(
+            () => selectorRegistry.query(ifr.contentDocument, 'video'),
+            {
+                signal,
+                timeout: LOAD_TIMEOUTS.video,
+                stage: '等待视频元素',
+            }
+        )
+    }
+
+    /**
+     * 隐藏所有播放器，恢复网易云背景
+     */
+    const hidePlayers = async () => {
+        layerGeneration++
+        activeVideo = null
+        await Promise.all([
+            hideIframePlayer(),
+            streamVideo.style.display === 'none'
+                ? null
+                : fadeOut(streamVideo).then(stopStreamPlayer),
+        ])
+    }
+
+    // 加载流程各阶段的超时时间（毫秒）
+    const LOAD_TIMEOUTS = {
+        search: 45000, // 多策略搜索和评分
+        page: 15000, // 视频页面onload
+        video: 15000, // 等待视频元素或元数据
+        player: 40000, // 单次播放器加载（含取流或页面切换）
+    }
+    // 播放器加载失败后的最多重试次数
+    const LOAD_RETRIES = 2
+
+    // 当前加载任务的AbortController，新的加载开始时取消旧的
+    let currentLoad = null
+    // 风控退避结束后重新加载的定时器
+    let riskRetryTimer = null
+
+    /**
+     * 报告风控状态，并在退避结束后重新加载当前歌曲
+     * @param {Error} error - 带有riskControl和retryAfter的API错误
+     * @param {string} songKey - 受影响的歌曲缓存键
+     */
+    const handleRiskControl = (error, songKey) => {
+        const seconds = Math.ceil(error.retryAfter / 1000)
+        logger.warn('B站请求受限，暂时无法匹配视频', {
+            songKey,
+            code: error.code,
+            retryAfter: seconds,
+        })
+        overlay.show(
+            `B站${error.message}（${error.code}），${seconds}秒后自动重新匹配视频`,
+            5000
+        )
+
+        clearTimeout(riskRetryTimer)
+        riskRetryTimer = setTimeout(() => {
+            // 只在仍播放同一首歌时重试，切歌会触发新的加载
+            if (currentSong?.songKey === songKey && !currentMatch) {
+                reloadVideo()
+            }
+        }, error.retryAfter + 1000)
+    }
+
+    /**
+     * 加载匹配视频的播放器
+     *
+     * 可以交叉淡化时在备用播放器中加载；否则直连模式优先，取流失败时回退到网页播放器
+     *
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {string} videoUrl - 视频页面URL
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<HTMLVideoElement>} 加载完成的视频元素
+     */
+    const loadPlayer = async (match, videoUrl, signal) => {
+        // 交叉淡化：在备用播放器中加载新视频，当前视频继续播放直到叠化完成
+        if (canCrossfade()) {
+            let warmed = null
+            try {
+                warmed = await warmUpStandby(match, signal)
+                // 已超时或被取消的尝试不能再交换播放器
+                signal?.throwIfAborted()
+                return await activateStandby(warmed, signal)
+            } catch (error) {
+                releaseStandby(warmed)
+                if (signal?.aborted) throw error
+                logger.warn('后台加载新视频失败，改用淡出淡入切换', error)
+            }
+        }
+
+        if (config['player-mode'] === 'stream') {
+            try {
+                const video = await loadStreamPlayer(match, signal)
+                if (video) return video
+            } catch (error) {
+                // 取流接口受风控限制时网页播放器仍可使用
+                if (signal?.aborted || !error.riskControl) throw error
+            }
+            logger.warn('直连模式加载失败，回退到网页播放器', {
+                videoKey: getVideoKey(match),
+            })
+        }
+        const video = await loadIframePlayer(videoUrl, signal)
+        applyIframeQuality(getTargetQuality(), ifr, signal)
+        return video
+    }
+
+    /**
+     * 合并名称列表：展平、去除空白和重复项，并排除指定的名称
+     * @param {Array} lists - 名称或名称数组（网易云数据中译名可能是字符串或数组）
+     * @param {Array<string>} [exclude=[]] - 需要排除的名称
+     * @returns {Array<string>} 去重后的名称
+     */
+    const collectNames = (lists, exclude = []) =>
+        lists
+            .flat(Infinity)
+            .filter((item) => typeof item === 'string')
+            .map((item) => item.trim())
+            .filter(
+                (item, index, list) =>
+                    item &&
+                    !exclude.includes(item) &&
+                    list.indexOf(item) === index
+            )
+
+    /**
+     * 将网易云的歌曲数据整理为搜索流程使用的歌曲信息
+     *
+     * 网易云不同接口的歌曲数据字段名不一致（artists/ar、album/al、transNames/tns、alias/alia），
+     * 这里统一收集所有歌手、歌手译名、歌曲译名/别名和专辑名
+     *
+     * @param {Object} track - getPlaying().data或播放队列中的歌曲数据
+     * @returns {{id: number, songKey: string, name: string, artistName: string, artists: Array<string>, artistAliases: Array<string>, aliases: Array<string>, album: string, year: string, duration: number}}
+     */
+    const buildSongInfo = (track) => {
+        const { id, name } = track
+        const artistList = track.artists || track.ar || []
+        const album = track.album || track.al
+        const duration = track.duration ?? track.dt
+        // 发行时间为毫秒时间戳，单曲缺失时使用专辑的发行时间
+        const publishTime = track.publishTime || album?.publishTime
+
+        // 所有歌手（合作、featuring），第一位作为主歌手
+        const artists = collectNames([artistList.map((artist) => artist?.name)])
+        const artistName = artists[0] || '未知歌手'
+        // 歌手的译名和别名，如中文译名对应的日文/英文原名
+        const artistAliases = collectNames(
+            artistList.map((artist) => [
+                artist?.alias || [],
+                artist?.tns || [],
+                artist?.transNames || [],
+                artist?.trans || [],
+            ]),
+            artists
+        )
+        // 缓存键优先使用网易云歌曲ID，缺失时（如部分本地音乐）退化为歌名-歌手
+        const songKey = id ? String(id) : `${name}-${artistName}`
+        // 译名和别名，用于多策略搜索和标题评分
+        const aliases = collectNames(
+            [
+                track.transNames || [],
+                track.tns || [],
+                track.alias || [],
+                track.alia || [],
+            ],
+            [name]
+        )
+
+        return {
+            id,
+            songKey,
+            name,
+            artistName,
+            artists,
+            artistAliases,
+            aliases,
+            album: album?.name || '',
+            year: publishTime
+                ? String(new Date(publishTime).getFullYear())
+                : '',
+            duration,
+        }
+    }
+
+    // 是否已经提示过无法读取播放队列
+    let queueUnavailableLogged = false
+
+    /**
+     * 从网易云播放队列中读取下一首歌曲
+     *
+     * 播放队列没有公开接口，这里尝试getPlaying所在对象上的列表函数，
+     * 找不到或随机播放等无法预测时返回null，预加载随之跳过
+     *
+     * @returns {Object|null} 下一首歌曲数据，结构与getPlaying().data相同
+     */
+    const getUpcomingTrack = () => {
+        try {
+            const current = getPlayingSong()?.data
+            for (const name of ['getPlaylist', 'getList']) {
+                const [func, root] = betterncm.ncm.findApiFunction(name) || []
+                const list = func?.call(root)
+                if (!Array.isArray(list) || list.length === 0) continue
+
+                const tracks = list.map((item) =>
+                    item?.data?.name ? item.data : item?.track || item
+                )
+                const index = tracks.findIndex(
+                    (track) => current && track?.id === current.id
+                )
+                if (index < 0) continue
+                return tracks[index + 1]?.name ? tracks[index + 1] : null
+            }
+        } catch (error) {
+            logger.debug('读取播放队列失败', error)
+        }
+
+        if (!queueUnavailableLogged) {
+            queueUnavailableLogged = true
+            logger.info('无法读取播放队列，跳过预加载')
+        }
+        return null
+    }
+
+    /**
+     * 预加载的下一首视频
+     * { songKey, videoKey, kind: 'iframe'|'stream', video, watchers, quality, controller, release }
+     * video存在时表示已加载完成，可以直接切换
+     * @type {Object|null}
+     */
+    let prefetched = null
+
+    /**
+     * 取消预加载并释放备用播放器
+     */
+    const discardPrefetch = () => {
+        if (!prefetched) return
+        const entry = prefetched
+        prefetched = null
+
+        entry.controller.abort(new DOMException('预加载已取消', 'AbortError'))
+        releaseStandby(entry)
+        logger.debug('已释放预加载的视频', { songKey: entry.songKey })
+    }
+
+    /**
+     * 释放备用播放器：停止监视器，备用iframe回到闲置页面，备用视频流断开
+     *
+     * warmed已经被activateStandby切换到前台时不做任何处理，
+     * 此时备用位置上是被替换下来的旧播放器，由activateStandby负责隐藏
+     *
+     * @param {Object} [warmed] - 备用播放器上已加载的内容 { watchers, release, activated? }
+     */
+    const releaseStandby = (warmed) => {
+        if (warmed?.activated) return
+        warmed?.release?.()
+        for (const watcher of warmed?.watchers || []) {
+            try {
+                watcher.stop()
+            } catch (error) {
+                // 忽略清理错误（页面可能已经卸载）
+            }
+        }
+        if (standbyIfr.style.display !== 'none') {
+            standbyIfr.style.display = 'none'
+            standbyIfr.onload = null
+            standbyIfr.src = IDLE_IFRAME_URL
+        }
+        if (standbyStream.getAttribute('src')) stopStreamPlayer(standbyStream)
+    }
+
+    /**
+     * 保持预加载的视频暂停，直到切换为当前播放器
+     * @param {HTMLVideoElement} video - 预加载的视频元素
+     * @returns {Function} 解除暂停保持的函数
+     */
+    const holdPaused = (video) => {
+        const pause = () => video.pause()
+        video.volume = 0
+        video.pause()
+        video.addEventListener('play', pause)
+        return () => video.removeEventListener('play', pause)
+    }
+
+    /**
+     * 在备用iframe中加载视频页面
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{video: HTMLVideoElement, watchers: Array, release: Function}>}
+     */
+    const warmUpIframe = async (match, signal) => {
+        const videoUrl = `https://www.bilibili.com/video/${match.bvid}${
+            match.page ? `?p=${match.page}` : ''
+        }`
+        standbyIfr.style.opacity = 0
+        standbyIfr.style.display = 'block'
+        await loadFramePage(standbyIfr, videoUrl, {
+            signal,
+            timeout: LOAD_TIMEOUTS.page,
+        })
+        const watchers = await setupPlayerPage(standbyIfr, signal)
+        try {
+            const video = await waitUntil(
+                () =>
+                    selectorRegistry.query(standbyIfr.contentDocument, 'video'),
+                { signal, timeout: LOAD_TIMEOUTS.video, stage: '等待视频元素' }
+            )
+            return { video, watchers, release: holdPaused(video) }
+        } catch (error) {
+            watchers.forEach((watcher) => watcher.stop())
+            throw error
+        }
+    }
+
+    /**
+     * 在备用视频元素中加载视频流
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{video: HTMLVideoElement, quality: number|null, release: Function}|null>}
+     *   所有地址都加载失败时返回null
+     */
+    const warmUpStream = async (match, signal) => {
+        const quality = getTargetQuality()
+        const sources = [
+            ...new Set(await resolveStreamSources(match, quality, signal)),
+        ].filter(Boolean)
+
+        standbyStream.style.opacity = 0
+        standbyStream.style.display = 'block'
+        for (const url of sources) {
+            const loaded = await tryStreamSource(url, 10000, standbyStream)
+            signal.throwIfAborted()
+            if (loaded) {
+                return {
+                    video: standbyStream,
+                    quality,
+                    release: holdPaused(standbyStream),
+                }
+            }
+        }
+        stopStreamPlayer(standbyStream)
+        return null
+    }
+
+    /**
+     * 在备用播放器中加载视频并保持暂停
+     *
+     * 直连模式优先使用备用视频元素，取流失败时回退到备用iframe；
+     * 失败时由调用方通过releaseStandby释放加载到一半的内容
+     *
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{kind: string, video: HTMLVideoElement, watchers?: Array, quality?: number|null, release: Function}>}
+     */
+    const warmUpStandby = async (match, signal) => {
+        layerGeneration++
+        if (config['player-mode'] === 'stream') {
+            try {
+                const warmed = await warmUpStream(match, signal)
+                if (warmed) return { kind: 'stream', ...warmed }
+            } catch (error) {
+                // 取流接口受风控限制时网页播放器仍可使用
+                if (signal.aborted || !error.riskControl) throw error
+            }
+        }
+        return { kind: 'iframe', ...(await warmUpIframe(match, signal)) }
+    }
+
+    /**
+     * 根据播放队列预加载下一首歌的视频
+     *
+     * 提前完成搜索（结果写入匹配缓存），并在备用播放器中加载视频后暂停等待，
+     * 切到这首歌时reloadVideo直接切换到备用播放器
+     */
+    const prefetchNextSong = async () => {
+        if (!config.prefetch || backgroundMonitor.isSuspended()) return
+
+        const track = getUpcomingTrack()
+        if (!track) return
+        const song = buildSongInfo(track)
+        if (
+            song.songKey === currentSong?.songKey ||
+            prefetched?.songKey === song.songKey
+        ) {
+            return
+        }
+
+        discardPrefetch()
+        const controller = new AbortController()
+        const { signal } = controller
+        const entry = { songKey: song.songKey, controller }
+        prefetched = entry
 
-                updateStyle() // 重新应用样式，确保设置生效
-            }, 500) // 降低检查频率到500ms，减少性能开销
+        const endTimer = logger.time('prefetchNextSong')
+        try {
+            logger.info('开始预加载下一首', {
+                songName: song.name,
+                artist: song.artistName,
+            })
+            const match = await runWithTimeout(
+                (attemptSignal) => searchVideoWithCache(song, attemptSignal),
+                { signal, timeout: LOAD_TIMEOUTS.search, stage: '预加载搜索' }
+            )
+            if (!match) return
+            entry.videoKey = getVideoKey(match)
 
-            // 标记播放器已初始化
-            playerInitialized = true
-            logger.info('Bilibili播放器初始化完成')
+            const warmed = await runWithTimeout(
+                (attemptSignal) => warmUpStandby(match, attemptSignal),
+                { signal, timeout: LOAD_TIMEOUTS.player, stage: '预加载视频' }
+            )
+            Object.assign(entry, warmed)
+            logger.info('下一首视频已预加载', {
+                songKey: entry.songKey,
+                videoKey: entry.videoKey,
+                kind: entry.kind,
+            })
         } catch (error) {
-            logger.error('Bilibili播放器初始化失败', error)
+            if (prefetched !== entry) return // 已被取消，备用播放器已释放
+            if (!signal.aborted) logger.warn('预加载下一首失败', error)
+            discardPrefetch()
+        } finally {
+            endTimer()
         }
     }
 
-    // 将iframe添加到页面顶部，确保作为背景层显示
-    document.body.prepend(ifr)
-    // 确保播放器初始状态可见
-    ifr.style.display = 'block'
+    /**
+     * 取出与当前歌曲和视频一致、已加载完成的预加载结果
+     * @param {string} songKey - 歌曲缓存键
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @returns {Object|null} 预加载条目，不可用时返回null
+     */
+    const takePrefetched = (songKey, match) => {
+        if (!prefetched || prefetched.songKey !== songKey) return null
+        if (prefetched.videoKey !== getVideoKey(match) || !prefetched.video) {
+            discardPrefetch() // 匹配结果已变化或尚未加载完成，改为正常加载
+            return null
+        }
+        const entry = prefetched
+        prefetched = null
+        return entry
+    }
 
-    // 获取iframe内部window的fetch方法，用于调用Bilibili API
-    const biliFetch = ifr.contentWindow.fetch
+    // 交叉淡化可用的速度曲线
+    const CROSSFADE_CURVES = [
+        'linear',
+        'ease',
+        'ease-in',
+        'ease-out',
+        'ease-in-out',
+    ]
 
     /**
-     * 搜索Bilibili视频
-     * 使用Bilibili官方API搜索视频内容
-     * @param {string} kwd - 搜索关键词
-     * @returns {Promise<Object>} 返回搜索结果的JSON对象
+     * 播放层当前是否可见
+     * @param {HTMLElement} element - 播放层（iframe或直连视频）
+     * @returns {boolean}
      */
-    const searchVideo = async (kwd) => {
-        const endTimer = logger.time('searchVideo')
-        logger.debug('开始搜索视频', { keyword: kwd })
+    const isLayerVisible = (element) =>
+        element.style.display !== 'none' && Number(element.style.opacity) > 0
 
-        try {
-            const response = await biliFetch(
-                `https://api.bilibili.com/x/web-interface/search/type?search_type=video&keyword=${encodeURIComponent(
-                    kwd
-                )}`
-            )
-            const result = await response.json()
+    /**
+     * 当前是否可以交叉淡化：需要配置启用，并且有正在显示的视频
+     * @returns {boolean}
+     */
+    const canCrossfade = () =>
+        config.transition === 'crossfade' &&
+        [ifr, streamVideo].some(isLayerVisible)
 
-            logger.debug('视频搜索完成', {
-                keyword: kwd,
-                resultCount: result.data?.result?.length || 0,
-                statusCode: result.code,
-                firstResult: result.data?.result?.[0]
-                    ? {
-                          title: result.data.result[0].title,
-                          duration: result.data.result[0].duration,
-                          bvid: result.data.result[0].bvid,
-                          aid: result.data.result[0].aid,
-                      }
-                    : null,
-            })
+    /**
+     * 将新的播放层切换到前台
+     *
+     * 交叉淡化：新播放层在上方按配置的时长和曲线淡入，完成后再隐藏旧播放层，
+     * 过渡期间旧视频保持显示，不会露出空白背景；
+     * 未启用或没有可见的旧播放层时退回淡出后淡入
+     *
+     * @param {HTMLElement} incoming - 新的播放层
+     * @param {Array<HTMLElement>} outgoing - 需要隐藏的旧播放层
+     */
+    const transitionLayers = async (incoming, outgoing) => {
+        const visible = outgoing.filter(isLayerVisible)
 
-            endTimer()
-            return result
-        } catch (error) {
-            logger.error('视频搜索失败', {
-                keyword: kwd,
-                error: error.message,
-            })
-            endTimer()
-            throw error
+        if (config.transition !== 'crossfade' || visible.length === 0) {
+            await Promise.all(visible.map((element) => fadeOut(element)))
+            await fadeIn(incoming)
+            return
+        }
+
+        const duration = Math.max(0, getNumberConfig('crossfade-duration', 800))
+        const curve = CROSSFADE_CURVES.includes(config['crossfade-curve'])
+            ? config['crossfade-curve']
+            : 'ease-in-out'
+
+        incoming.style.transition = `opacity ${duration}ms ${curve}`
+        incoming.style.opacity = 1
+        await betterncm.utils.delay(duration)
+        incoming.style.transition = '' // 恢复样式表中的默认过渡
+
+        // 旧播放层已被完全覆盖，不需要再淡出
+        for (const element of visible) {
+            element.style.transition = 'none'
+            element.style.opacity = 0
+            element.getBoundingClientRect() // 立即应用，避免之后的淡入被跳过
+            element.style.transition = ''
         }
     }
 
     /**
-     * 解析搜索API返回的JSON数据为标准视频数组格式
-     * 将Bilibili API返回的复杂结构简化为统一格式
-     *
-     * @param {Object} jsonData - Bilibili搜索API返回的JSON数据
-     * @returns {Array} 返回标准格式的视频对象数组
+     * 将备用播放器中的视频同步到当前音频进度，音频正在播放时开始播放
+     * @param {HTMLVideoElement} video - 备用播放器中的视频
      */
-    const parseSearchResults = (jsonData) => {
-        logger.debug('开始解析搜索结果')
+    const syncStandbyVideo = (video) => {
+        const target = lastProgress + currentOffset
+        video.currentTime = Math.max(0, target)
+        if (
+            target >= 0 &&
+            loadedPlugins.LibFrontendPlay?.currentAudioPlayer?.paused ===
+                false &&
+            !isStillFrame() &&
+            !backgroundMonitor.isSuspended()
+        ) {
+            video.play()
+        }
+    }
 
-        if (!jsonData?.data?.result || !Array.isArray(jsonData.data.result)) {
-            logger.warn('搜索结果格式无效', jsonData)
-            return []
+    /**
+     * 切换到备用播放器
+     *
+     * 备用播放器与当前播放器交换角色：新视频先同步到音频进度并开始播放，
+     * 再通过transitionLayers切换到前台，最后释放原播放器
+     *
+     * 淡化期间被取消（如切歌）时，新的加载可能已经开始使用被换下的播放层，
+     * 此时不再隐藏或停止这些播放层，并以取消原因拒绝
+     *
+     * @param {Object} warmed - 备用播放器上加载的内容（预加载条目或warmUpStandby的结果）
+     * @param {AbortSignal} [signal] - 本次加载的取消信号
+     * @returns {Promise<HTMLVideoElement>} 切换后的视频元素
+     */
+    const activateStandby = async (warmed, signal) => {
+        signal?.throwIfAborted()
+        const generation = ++layerGeneration
+        const isHandedOver = () => layerGeneration !== generation
+        // 被取代且播放层已交给新的加载时停止清理
+        const checkHandover = () => {
+            if (isHandedOver()) signal?.throwIfAborted()
         }
+        warmed.release()
+        warmed.activated = true // 之后交换了播放器，不能再作为备用内容释放
+        syncStandbyVideo(warmed.video)
+
+        if (warmed.kind === 'stream') {
+            const previous = streamVideo
+            ;[streamVideo, standbyStream] = [standbyStream, streamVideo]
+            streamVideo.classList.remove(STANDBY_CLASS)
+            previous.classList.add(STANDBY_CLASS)
+            streamQuality = warmed.quality
+
+            await transitionLayers(streamVideo, [ifr, previous])
+            checkHandover()
+            await hideIframePlayer(ifr, isHandedOver)
+            checkHandover()
+            if (!isHandedOver() && previous.getAttribute('src'))
+                stopStreamPlayer(previous)
+        } else {
+            const previous = ifr
+            ;[ifr, standbyIfr] = [standbyIfr, ifr]
+            ifr.classList.remove(STANDBY_CLASS)
+            previous.classList.add(STANDBY_CLASS)
+            resetPlayerState()
+            playerWatchers = warmed.watchers
+            playerInitialized = true
 
-        const videos = jsonData.data.result.map((video) => ({
-            title:
-                video.title?.replace(/<em class="keyword">|<\/em>/g, '') || '', // 移除关键词高亮标签
-            bvid: video.bvid || '',
-            duration: video.duration || '', // MM:SS格式的时长字符串
-            playCount: video.play || 0, // 观看数
-            author: video.author || '',
-            arcurl: video.arcurl || '',
-        }))
+            await transitionLayers(ifr, [previous, streamVideo])
+            checkHandover()
+            await hideIframePlayer(previous, isHandedOver)
+            checkHandover()
+            if (!isHandedOver() && streamVideo.getAttribute('src'))
+                stopStreamPlayer()
+            applyIframeQuality(getTargetQuality(), ifr, signal)
+        }
 
-        logger.debug('搜索结果解析完成', {
-            totalVideos: videos.length,
-            firstVideo: videos[0] || null,
+        logger.info('已切换到备用播放器', {
+            songKey: warmed.songKey,
+            videoKey: warmed.videoKey,
+            kind: warmed.kind,
         })
+        return warmed.video
+    }
 
-        return videos
+    /**
+     * 重新加载视频的核心函数（重构后）
+     * 使用新的搜索流程，简化逻辑，提高可维护性
+     *
+     * 每次加载持有独立的取消信号：
+     * - 切歌时取消仍在进行的旧加载，旧加载不再修改播放器
+     * - 搜索和播放器加载分阶段限时，播放器加载失败时按指数退避重试
+     */
+    const reloadVideo = async () => {
+        const endTimer = logger.time('reloadVideo')
+        // 取消仍在进行的旧加载，保证最终状态对应当前播放的歌曲
+        currentLoad?.abort(new DOMException('已切换到新的歌曲', 'AbortError'))
+        const controller = new AbortController()
+        const { signal } = controller
+        currentLoad = controller
+
+        // 重置播放器状态，允许重新初始化
+        resetPlayerState()
+
+        try {
+            // 获取当前播放歌曲的信息
+            currentSong = buildSongInfo(getPlayingSong().data)
+            const { id, songKey, name, artistName, duration } = currentSong
+
+            // 预加载的不是这首歌时释放备用播放器
+            if (prefetched && prefetched.songKey !== songKey) {
+                discardPrefetch()
+            }
+
+            currentMatch = null
+            currentOffset = 0
+            currentEstimate = null
+            activeVideo = null
+
+            logger.info('开始加载视频', {
+                songId: id,
+                songName: name,
+                artist: artistName,
+                duration: duration / 1000, // 转换为秒
+            })
+
+            // 使用新的搜索流程
+            // 超时会中断搜索，避免超时后的搜索结果仍写入缓存
+            const match = await runWithTimeout(
+                (attemptSignal) =>
+                    searchVideoWithCache(currentSong, attemptSignal),
+                { signal, timeout: LOAD_TIMEOUTS.search, stage: '搜索视频' }
+            )
+
+            if (match) {
+                // 构建视频页面URL，多P视频通过p参数定位分P
+                const videoUrl = `https://www.bilibili.com/video/${match.bvid}${
+                    match.page ? `?p=${match.page}` : ''
+                }`
+
+                currentMatch = match
+                currentOffset =
+                    songPrefs.getOffset(songKey, getVideoKey(match)) ?? 0
+
+                logger.info('找到匹配视频', {
+                    videoKey: getVideoKey(match),
+                    url: videoUrl,
+                    offset: currentOffset,
+                })
+
+                const prepared = takePrefetched(songKey, match)
+                activeVideo = prepared
+                    ? await activateStandby(prepared, signal)
+                    : await retryWithBackoff(
+                          // 每次尝试使用独立的取消信号，超时的尝试结束后才会重试
+                          () =>
+                              runWithTimeout(
+                                  (attemptSignal) =>
+                                      loadPlayer(
+                                          match,
+                                          videoUrl,
+                                          attemptSignal
+                                      ),
+                                  {
+                                      signal,
+                                      timeout: LOAD_TIMEOUTS.player,
+                                      stage: '加载播放器',
+                                  }
+                              ),
+                          { signal, retries: LOAD_RETRIES, stage: '加载播放器' }
+                      )
+
+                logger.debug('视频加载完成', activeVideo)
+                activeVideo.volume = 0 // 强制静音，避免音频干扰
+                driftController.reset(activeVideo)
+
+                // 未手动设置偏移时，根据时长差等信号自动估算
+                if (
+                    config['align-mode'] !== 'off' &&
+                    songPrefs.getOffset(songKey, getVideoKey(match)) === null
+                ) {
+                    await applyOffsetEstimate(currentSong, match, signal)
+                }
+            } else {
+                // 没有找到匹配的视频，隐藏播放器以恢复网易云背景
+                logger.warn('未找到匹配的视频，隐藏播放器', {
+                    songName: name,
+                    artist: artistName,
+                })
+                await hidePlayers() // 隐藏播放器，恢复网易云背景
+            }
+
+            // 当前歌曲处理完成后，在后台准备下一首
+            prefetchNextSong()
+        } catch (error) {
+            if (signal.aborted) {
+                // 已被新的加载取代，播放器交由新的加载处理
+                logger.debug('加载已被取代，放弃本次加载', {
+                    reason: signal.reason?.message,
+                })
+                return
+            }
+            if (error.riskControl) {
+                // 风控不是匹配失败：提示用户并在退避结束后重试，不写入负缓存
+                await hidePlayers()
+                handleRiskControl(error, currentSong?.songKey)
+                return
+            }
+            logger.error('视频加载失败，隐藏播放器', error)
+            // 加载失败时隐藏播放器以恢复网易云背景
+            await hidePlayers()
+        } finally {
+            if (currentLoad === controller) currentLoad = null
+            endTimer()
+        }
     }
 
     /**
-     * 清理歌名中的括号内容
-     * 移除【】、[]、{}、()、「」、『』等括号及其之间的内容
-     * @param {string} songName - 原始歌名
-     * @returns {string} 清理后的歌名
+     * 将视频固定到当前歌曲并立即加载
+     * @param {string} input - BV号、av号或视频链接（可带p参数指定分P）
+     * @returns {Promise<boolean>} 是否成功解析并固定
      */
-    const cleanSongName = (songName) => {
-        if (!songName || typeof songName !== 'string') return songName || ''
+    const pinVideo = async (input) => {
+        const match = parseVideoRef(input)
+        if (!currentSong || !match) {
+            logger.warn('无法固定视频', { input, song: currentSong })
+            return false
+        }
 
-        // 移除各种括号及其内容
-        const cleaned = songName
-            .replace(/【.*?】|\[.*?\]|\{.*?\}|\(.*?\)|「.*?」|『.*?』/g, '')
-            .replace(/\s+/g, ' ') // 标准化空格
-            .trim()
+        songPrefs.setPin(currentSong.songKey, match)
+        await reloadVideo()
+        return true
+    }
 
-        logger.debug('歌名清理', {
-            original: songName,
-            cleaned: cleaned,
-        })
+    /**
+     * 取消当前歌曲的固定视频，恢复自动匹配
+     */
+    const unpinVideo = async () => {
+        if (!currentSong) return
 
-        return cleaned
+        songPrefs.clearPin(currentSong.songKey)
+        await reloadVideo()
     }
 
     /**
-     * 智能相似度计算
-     * 处理包含额外信息的标题，优先匹配核心关键词
-     * @param {string} videoTitle - 视频标题
-     * @param {string} songName - 歌曲名
-     * @param {string} artistName - 歌手名
-     * @returns {number} 相似度百分比（0-1）
+     * 将当前视频标记为错误视频
+     * 加入该歌曲的黑名单并清除缓存，立即加载下一个候选视频
      */
-    const calculateSimilarity = (videoTitle, songName, artistName) => {
-        if (!videoTitle || !songName) return 0
+    const markWrongVideo = async () => {
+        if (!currentSong || !currentMatch) {
+            logger.warn('当前没有正在播放的视频，无法标记')
+            return
+        }
 
-        const title = videoTitle.toLowerCase()
-        const song = songName.toLowerCase()
-        const artist = artistName?.toLowerCase() || ''
+        songPrefs.addToBlacklist(currentSong.songKey, currentMatch)
+        matchCache.delete(currentSong.songKey)
+        await reloadVideo()
+    }
 
-        // 移除常见干扰符号和词语
-        const cleanTitle = title
-            .replace(/【.*?】|\[.*?\]|\(.*?\)|「.*?」|『.*?』/g, '') // 移除括号内容
-            .replace(/官方投稿|official|mv|pv|feat\.?|ft\.?/gi, '') // 移除常见关键词
-            .replace(/[\s\-\|\/]+/g, ' ') // 标准化分隔符
-            .trim()
+    /**
+     * 清空当前歌曲的黑名单并重新匹配
+     */
+    const clearBlacklist = async () => {
+        if (!currentSong) return
 
-        // 计算基础相似度（基于最长公共子序列）
-        const baseSimilarity = calculateBaseSimilarity(cleanTitle, song)
+        songPrefs.clearBlacklist(currentSong.songKey)
+        matchCache.delete(currentSong.songKey)
+        await reloadVideo()
+    }
 
-        // 计算歌手相似度
-        const artistSimilarity = artist
-            ? calculateBaseSimilarity(cleanTitle, artist)
-            : 0
+    /**
+     * 获取歌曲的候选视频列表
+     * 优先复用该歌曲自动搜索的评分结果（黑名单和评分规则未变化时）；
+     * 命中缓存或固定视频时没有评分结果，此时重新搜索一次，结果只用于面板显示，不写入匹配缓存
+     *
+     * @param {Object} song - 歌曲信息（同searchVideoWithCache）
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Array<Object>>} 按评分降序排列的候选视频
+     */
+    const getSongCandidates = async (song, signal) => {
+        const cached = candidateCache.get(song.songKey)
+        if (cached?.signature === getCandidateSignature(song.songKey)) {
+            return cached.candidates
+        }
 
-        // 计算组合相似度
-        let finalSimilarity = baseSimilarity
+        const { candidates } = await findBestCandidate(
+            song,
+            songPrefs.get(song.songKey).blacklist,
+            signal
+        )
+        rememberCandidates(song.songKey, candidates)
+        return candidates
+    }
 
-        // 如果歌手相似度较高，提升整体相似度
-        if (artistSimilarity > 0.3) {
-            finalSimilarity = Math.max(
-                finalSimilarity,
-                (baseSimilarity + artistSimilarity) / 2
-            )
+    /**
+     * 将面板中选中的视频指定给歌曲并立即加载
+     * 勾选固定时写入手动固定，否则写入匹配缓存；歌曲已有其他固定视频时先取消固定，
+     * 否则固定视频会覆盖这次选择
+     *
+     * @param {Object} song - 打开面板时的歌曲信息
+     * @param {Object} video - 选中的视频 { bvid, page? }
+     * @param {boolean} pin - 是否同时固定到该歌曲
+     * @param {string} source - 选择来源（candidates/search），用于日志
+     */
+    const assignVideo = async (song, video, pin, source) => {
+        if (currentSong?.songKey !== song.songKey) {
+            logger.warn('歌曲已切换，忽略视频选择', {
+                songKey: song.songKey,
+                currentSongKey: currentSong?.songKey,
+            })
+            overlay.show('歌曲已切换，请重新打开面板')
+            return
         }
 
-        // 如果标题包含歌曲名，直接给高分
-        if (cleanTitle.includes(song)) {
-            finalSimilarity = Math.max(finalSimilarity, 0.8)
+        const match = video.page
+            ? { bvid: video.bvid, page: video.page }
+            : { bvid: video.bvid }
+        if (pin) {
+            songPrefs.setPin(song.songKey, match)
+        } else {
+            if (songPrefs.get(song.songKey).pin) {
+                songPrefs.clearPin(song.songKey)
+            }
+            cacheResult(song.songKey, match)
         }
 
-        // 如果标题包含歌手名，提升相似度
-        if (
-            artist &&
-            cleanTitle.includes(artist.replace('official', '').trim())
-        ) {
-            finalSimilarity = Math.max(finalSimilarity, 0.7)
+        logger.info('手动指定视频', {
+            songKey: song.songKey,
+            videoKey: getVideoKey(match),
+            source,
+            pin,
+        })
+        panel.close()
+        await reloadVideo()
+    }
+
+    /**
+     * 生成面板中显示的接口错误提示
+     * @param {Error} error - 接口错误
+     * @param {string} action - 失败的操作名称
+     * @returns {string} 提示文本
+     */
+    const describePanelError = (error, action) =>
+        error.riskControl
+            ? `触发Bilibili风控，请在${Math.ceil(
+                  error.retryAfter / 1000
+              )}秒后重试`
+            : `${action}失败：${error.message}`
+
+    /**
+     * 创建面板中的视频列表项
+     * @param {Object} video - 视频信息（title、part、page、cover等）
+     * @param {Array<Node>} lines - 标题下方的信息行
+     * @param {Array<Node>} actions - 右侧的操作按钮
+     * @returns {HTMLElement} 列表项元素
+     */
+    const createVideoItem = (video, lines, actions) => {
+        const isCurrent =
+            currentMatch && getVideoKey(currentMatch) === getVideoKey(video)
+
+        return dom(
+            'div',
+            { class: ['betterncm-plugin-playwithbilio-panel-item'] },
+            dom('img', {
+                src: video.cover,
+                referrerPolicy: 'no-referrer', // 图床会拒绝带网易云来源的请求
+                loading: 'lazy',
+            }),
+            dom(
+                'div',
+                { style: { flex: '1', minWidth: '0' } },
+                dom('div', {
+                    innerText: `${video.title}${
+                        video.part ? ` - P${video.page} ${video.part}` : ''
+                    }${isCurrent ? '（当前）' : ''}`,
+                }),
+                ...lines
+            ),
+            dom(
+                'div',
+                {
+                    style: {
+                        display: 'flex',
+                        flexDirection: 'column',
+                        justifyContent: 'center',
+                        gap: '4px',
+                    },
+                },
+                ...actions
+            )
+        )
+    }
+
+    /**
+     * 创建候选视频列表项
+     * @param {Object} candidate - rankCandidates返回的候选视频
+     * @param {Function} onChoose - 点击播放时的回调
+     * @returns {HTMLElement} 列表项元素
+     */
+    const createCandidateItem = (candidate, onChoose) => {
+        const signalNames = {
+            title: '标题',
+            duration: '时长',
+            play: '播放量',
+            uploader: 'UP主',
+            keyword: '关键词',
         }
 
-        return Math.min(finalSimilarity, 1.0)
+        return createVideoItem(
+            candidate,
+            [
+                dom('div', {
+                    class: ['meta'],
+                    innerText: [
+                        candidate.author || '未知UP主',
+                        formatSeconds(candidate.exactSeconds),
+                        `${formatCount(candidate.playCount)}播放`,
+                        `评分 ${Math.round(candidate.score * 100)}${
+                            candidate.bonus > 0
+                                ? `（规则加分 +${Math.round(
+                                      candidate.bonus * 100
+                                  )}）`
+                                : ''
+                        }`,
+                    ].join(' · '),
+                }),
+                dom(
+                    'div',
+                    {},
+                    ...candidate.checks.map((check) =>
+                        dom('span', {
+                            class: [check.passed ? 'pass' : 'fail'],
+                            innerText: `${check.passed ? '✔' : '✘'} ${
+                                check.name
+                            } ${check.value}　`,
+                            title: check.passed ? '' : check.reason,
+                        })
+                    )
+                ),
+                dom('div', {
+                    class: ['meta'],
+                    innerText: Object.entries(candidate.breakdown)
+                        .map(([signal, detail]) => {
+                            // 命中的规则附在对应信号之后
+                            const notes = [
+                                detail.matched &&
+                                    `排除 ${detail.matched.join('、')}`,
+                                detail.boosted &&
+                                    `加分 ${detail.boosted.join('、')}`,
+                                detail.preferred && '优先UP主',
+                                detail.alias && `别名 ${detail.alias}`,
+                            ].filter(Boolean)
+                            return `${signalNames[signal] || signal} ${
+                                detail.score
+                            }×${detail.weight}${
+                                notes.length ? `（${notes.join('；')}）` : ''
+                            }`
+                        })
+                        .join(' · '),
+                }),
+            ],
+            [dom('button', { innerText: '播放', onclick: onChoose })]
+        )
     }
 
     /**
-     * 基础相似度计算（基于最长公共子序列）
-     * @param {string} str1 - 第一个字符串
-     * @param {string} str2 - 第二个字符串
-     * @returns {number} 相似度百分比（0-1）
+     * 打开当前歌曲的候选视频面板
+     * 列出评分后的候选视频及各过滤条件的通过情况，选择后立即加载，可选固定到歌曲
      */
-    const calculateBaseSimilarity = (str1, str2) => {
-        if (!str1 || !str2) return 0
+    const showCandidatePicker = async () => {
+        if (!currentSong) {
+            overlay.show('当前没有正在播放的歌曲')
+            return
+        }
+
+        const song = currentSong
+        const controller = new AbortController()
+        const pinToggle = dom('input', { type: 'checkbox' })
+        const body = dom('div', {
+            class: ['betterncm-plugin-playwithbilio-panel-body'],
+            innerText: '正在搜索候选视频...',
+        })
+        panel.open(
+            `候选视频：${song.name} - ${song.artistName}`,
+            dom(
+                'div',
+                { style: { display: 'contents' } },
+                dom(
+                    'label',
+                    { style: { marginBottom: '8px' } },
+                    pinToggle,
+                    dom('span', { innerText: ' 选择时固定到这首歌' })
+                ),
+                body
+            ),
+            () => controller.abort()
+        )
 
-        const s1 = str1.toLowerCase()
-        const s2 = str2.toLowerCase()
+        let candidates
+        try {
+            candidates = await getSongCandidates(song, controller.signal)
+        } catch (error) {
+            if (controller.signal.aborted) return
+            logger.warn('获取候选视频失败', {
+                songKey: song.songKey,
+                code: error.code,
+                error: error.message,
+            })
+            body.innerText = describePanelError(error, '获取候选视频')
+            return
+        }
+
+        if (candidates.length === 0) {
+            body.innerText = '没有找到候选视频'
+            return
+        }
+        body.replaceChildren(
+            ...candidates.map((candidate) =>
+                createCandidateItem(candidate, () =>
+                    assignVideo(
+                        song,
+                        candidate,
+                        pinToggle.checked,
+                        'candidates'
+                    )
+                )
+            )
+        )
+    }
+
+    // 手动搜索的排序方式，键为search/type接口的order参数
+    const SEARCH_ORDERS = {
+        totalrank: '综合排序',
+        click: '最多播放',
+        pubdate: '最新发布',
+    }
 
-        // 计算最长公共子序列长度
-        const m = s1.length
-        const n = s2.length
-        const dp = Array(m + 1)
-            .fill(0)
-            .map(() => Array(n + 1).fill(0))
+    // 手动搜索的时长筛选，键为search/type接口的duration参数
+    const SEARCH_DURATIONS = {
+        0: '全部时长',
+        1: '10分钟以下',
+        2: '10-30分钟',
+        3: '30-60分钟',
+        4: '60分钟以上',
+    }
 
-        for (let i = 1; i <= m; i++) {
-            for (let j = 1; j <= n; j++) {
-                if (s1[i - 1] === s2[j - 1]) {
-                    dp[i][j] = dp[i - 1][j - 1] + 1
-                } else {
-                    dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1])
-                }
-            }
+    /**
+     * 按视频标识获取单个视频，用于搜索面板中直接粘贴BV号或链接的情况
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Object|null>} 与搜索结果格式相同的视频信息，不存在时返回null
+     */
+    const fetchVideoByRef = async (match, signal) => {
+        const detail = await fetchVideoDetail(match.bvid, signal)
+        if (!detail) return null
+
+        const pages = detail.pages || []
+        const page =
+            pages.length > 1 && match.page
+                ? pages.find((p) => p.page === match.page)
+                : null
+        return {
+            bvid: detail.bvid || match.bvid,
+            page: page?.page,
+            part: page?.part,
+            title: detail.title || '',
+            author: detail.owner?.name || '',
+            mid: detail.owner?.mid || 0,
+            cover: detail.pic || '',
+            playCount: detail.stat?.view || 0,
+            exactSeconds: page?.duration ?? detail.duration,
+            pubdate: detail.pubdate,
+            description: detail.desc || '',
         }
-
-        const lcsLength = dp[m][n]
-        const maxLength = Math.max(m, n)
-
-        return lcsLength / maxLength
     }
 
     /**
-     * 按标题相似度过滤视频
-     * 使用智能相似度匹配，50%相似度阈值
+     * 打开手动搜索面板
      *
-     * @param {Array} videos - 视频对象数组
-     * @param {string} songName - 歌曲名
-     * @param {string} artistName - 歌手名
-     * @returns {Array} 过滤后的视频数组
+     * 自动搜索找不到合适视频时，由用户自行搜索并指定：
+     * - 🔍 自由搜索：任意关键词，支持翻页、排序方式和时长筛选
+     * - 🔗 直接定位：输入BV号、av号或视频链接时直接显示该视频
+     * - 👀 结果预览：在面板内嵌入Bilibili播放器预览，不影响当前背景视频
+     *
+     * @param {string} [query] - 初始搜索内容，默认为当前歌曲名和歌手
      */
-    const filterByTitle = (videos, songName, artistName) => {
-        logger.debug('开始按标题相似度过滤', {
-            songName,
-            artistName,
-            videoCount: videos.length,
-            similarityThreshold: 0.5,
+    const showSearchPanel = (query) => {
+        if (!currentSong) {
+            overlay.show('当前没有正在播放的歌曲')
+            return
+        }
+
+        const song = currentSong
+        let controller = null // 当前搜索的取消控制器
+        let page = 1
+        let numPages = 1
+
+        const input = dom('input', {
+            value: query ?? `${song.name} ${song.artistName}`,
+            placeholder: '关键词、BV号、av号或视频链接',
+            style: { flex: '1', color: 'black' },
+        })
+        const orderSelect = dom(
+            'select',
+            { style: { color: 'black' } },
+            ...Object.entries(SEARCH_ORDERS).map(([value, label]) =>
+                dom('option', { value, innerText: label })
+            )
+        )
+        const durationSelect = dom(
+            'select',
+            { style: { color: 'black' } },
+            ...Object.entries(SEARCH_DURATIONS).map(([value, label]) =>
+                dom('option', { value, innerText: label })
+            )
+        )
+        const pinToggle = dom('input', { type: 'checkbox' })
+        const preview = dom('div', {})
+        const results = dom('div', {})
+        const pageInfo = dom('span', {})
+        const prevButton = dom('button', {
+            innerText: '上一页',
+            onclick: () => page > 1 && runSearch(page - 1),
+        })
+        const nextButton = dom('button', {
+            innerText: '下一页',
+            onclick: () => page < numPages && runSearch(page + 1),
         })
+        const pager = dom(
+            'div',
+            {
+                style: {
+                    display: 'none',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px',
+                    paddingTop: '8px',
+                },
+            },
+            prevButton,
+            pageInfo,
+            nextButton
+        )
 
-        if (!songName || songName.trim() === '') {
-            logger.debug('歌曲名为空，跳过标题过滤')
-            return videos
+        // 在面板顶部嵌入播放器预览视频，同一时间只保留一个预览
+        const showPreview = (video) => {
+            const params = new URLSearchParams({
+                bvid: video.bvid,
+                page: video.page || 1,
+                autoplay: 0,
+                danmaku: 0,
+            })
+            preview.replaceChildren(
+                dom('iframe', {
+                    src: `https://player.bilibili.com/player.html?${params}`,
+                    allowFullscreen: true,
+                    style: {
+                        width: '100%',
+                        aspectRatio: '16 / 9',
+                        border: 'none',
+                        borderRadius: '4px',
+                    },
+                }),
+                dom('div', {
+                    class: ['meta'],
+                    style: { whiteSpace: 'pre-line', margin: '4px 0 8px' },
+                    innerText: video.description || '',
+                }),
+                dom('button', {
+                    innerText: '关闭预览',
+                    onclick: () => preview.replaceChildren(),
+                })
+            )
+            preview.scrollIntoView({ block: 'nearest' })
         }
 
-        const filteredVideos = videos.filter((video) => {
-            const similarity = calculateSimilarity(
-                video.title,
-                songName,
-                artistName
+        const createResultItem = (video) =>
+            createVideoItem(
+                video,
+                [
+                    dom('div', {
+                        class: ['meta'],
+                        innerText: [
+                            video.author || '未知UP主',
+                            formatSeconds(
+                                video.exactSeconds ??
+                                    parseDuration(video.duration)
+                            ),
+                            `${formatCount(video.playCount)}播放`,
+                            video.pubdate
+                                ? new Date(
+                                      video.pubdate * 1000
+                                  ).toLocaleDateString()
+                                : '',
+                        ]
+                            .filter(Boolean)
+                            .join(' · '),
+                    }),
+                ],
+                [
+                    dom('button', {
+                        innerText: '预览',
+                        onclick: () => showPreview(video),
+                    }),
+                    dom('button', {
+                        innerText: '使用',
+                        onclick: () =>
+                            assignVideo(
+                                song,
+                                video,
+                                pinToggle.checked,
+                                'search'
+                            ),
+                    }),
+                ]
             )
-            const isMatch = similarity >= 0.5
-
-            if (!isMatch) {
-                logger.debug('标题相似度过滤失败', {
-                    videoTitle: video.title,
-                    songName,
-                    artistName,
-                    similarity: Math.round(similarity * 100),
-                    reason: '相似度低于50%',
+
+        // 执行搜索，输入可以解析为视频时直接显示该视频
+        const runSearch = async (targetPage = 1) => {
+            controller?.abort()
+            controller = new AbortController()
+            const { signal } = controller
+            const text = input.value.trim()
+            if (!text) return
+
+            results.innerText = '正在搜索...'
+            pager.style.display = 'none'
+            try {
+                const match = parseVideoRef(text)
+                if (match) {
+                    const video = await fetchVideoByRef(match, signal)
+                    results.replaceChildren(
+                        video
+                            ? createResultItem(video)
+                            : document.createTextNode('未找到该视频')
+                    )
+                    return
+                }
+
+                const result = await searchVideo(text, targetPage, signal, {
+                    order: orderSelect.value,
+                    duration: Number(durationSelect.value),
                 })
-            } else {
-                logger.debug('标题相似度过滤通过', {
-                    videoTitle: video.title,
-                    songName,
-                    artistName,
-                    similarity: Math.round(similarity * 100),
+                const videos = parseSearchResults(result)
+                page = targetPage
+                numPages = result.data?.numPages || 1
+
+                logger.info('手动搜索完成', {
+                    keyword: text,
+                    page,
+                    numPages,
+                    order: orderSelect.value,
+                    duration: durationSelect.value,
+                    resultCount: videos.length,
                 })
+
+                if (videos.length === 0) {
+                    results.innerText = '没有找到相关视频'
+                    return
+                }
+                results.replaceChildren(...videos.map(createResultItem))
+                pageInfo.innerText = `第 ${page} / ${numPages} 页`
+                prevButton.disabled = page <= 1
+                nextButton.disabled = page >= numPages
+                pager.style.display = 'flex'
+                results.parentElement?.scrollTo({ top: 0 })
+            } catch (error) {
+                if (signal.aborted) return
+                results.innerText = describePanelError(error, '搜索')
             }
+        }
 
-            return isMatch
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') runSearch()
         })
-
-        logger.debug('标题相似度过滤完成', {
-            originalCount: videos.length,
-            filteredCount: filteredVideos.length,
-            songName,
-            artistName,
-            similarityThreshold: '50%',
-            filteredTitles: filteredVideos.map((v) => v.title),
-            failedCount: videos.length - filteredVideos.length,
-            similarityScores: filteredVideos.map((v) =>
-                Math.round(
-                    calculateSimilarity(v.title, songName, artistName) * 100
+        orderSelect.addEventListener('change', () => runSearch())
+        durationSelect.addEventListener('change', () => runSearch())
+
+        panel.open(
+            `搜索视频：${song.name} - ${song.artistName}`,
+            dom(
+                'div',
+                { style: { display: 'contents' } },
+                dom(
+                    'div',
+                    {
+                        style: {
+                            display: 'flex',
+                            gap: '8px',
+                            marginBottom: '8px',
+                        },
+                    },
+                    input,
+                    orderSelect,
+                    durationSelect,
+                    dom('button', {
+                        innerText: '搜索',
+                        onclick: () => runSearch(),
+                    })
+                ),
+                dom(
+                    'label',
+                    { style: { marginBottom: '8px' } },
+                    pinToggle,
+                    dom('span', { innerText: ' 选择时固定到这首歌' })
+                ),
+                dom(
+                    'div',
+                    { class: ['betterncm-plugin-playwithbilio-panel-body'] },
+                    preview,
+                    results,
+                    pager
                 )
             ),
-        })
+            () => controller?.abort()
+        )
+        input.focus()
+        runSearch()
+    }
+
+    // 表示片头的章节标题特征
+    const INTRO_CHAPTER_PATTERN = /片头|开场|intro|opening/i
+
+    // 自动估算的偏移，键为 `${songKey}|${videoKey}`，避免同一视频重复估算
+    const offsetEstimates = new Map()
 
-        return filteredVideos
+    // 当前视频的自动估算结果
+    let currentEstimate = null
+
+    // 正在估算偏移的加载的取消信号，非null时暂停进度同步，避免与黑屏检测的定位冲突；
+    // 只由设置它的加载清除，被取代的旧估算不会提前恢复新加载的进度同步
+    let estimatingOffset = null
+
+    /**
+     * 获取视频的章节（高能看点）数据
+     * @param {string} bvid - 视频的bvid
+     * @param {number} cid - 分P的cid
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<Array>} 章节数组，每项包含from、to（秒）和content，获取失败时返回空数组
+     */
+    const fetchViewPoints = async (bvid, cid, signal) => {
+        try {
+            const result = await biliApi.request(
+                'https://api.bilibili.com/x/player/wbi/v2',
+                { bvid, cid },
+                { signal, sign: true }
+            )
+            return result.data?.view_points || []
+        } catch (error) {
+            if (signal?.aborted) throw error
+            logger.debug('获取视频章节失败', { bvid, error: error.message })
+            return []
+        }
     }
 
     /**
-     * 按播放量过滤视频
-     * 根据配置的播放量阈值过滤视频，-1为禁用
+     * 检测视频开头的黑屏时长
      *
-     * @param {Array} videos - 视频对象数组
-     * @param {number} playThreshold - 播放量阈值，-1为禁用
-     * @returns {Array} 过滤后的视频数组
+     * 逐秒定位视频并将画面缩小绘制到canvas，计算平均亮度，
+     * 返回第一个非黑画面出现的时间。检测总耗时不超过8秒，结束后恢复原来的进度和播放状态。
+     *
+     * 直连模式的视频跨域且没有crossOrigin属性，canvas会被污染而无法读取像素，
+     * 此时先用当前画面试探一次，失败则直接跳过，不暂停和定位正在播放的视频。
+     * 检测期间被取消（如切歌）时立即停止，视频可能已交给新的加载，不再恢复其进度和播放状态
+     *
+     * @param {HTMLVideoElement} video - 视频元素
+     * @param {number} maxSeconds - 最多检测到的秒数
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<number|null>} 开头黑屏时长（秒），检测失败或被取消时返回null
      */
-    const filterByPlayCount = (videos, playThreshold) => {
-        logger.debug('开始按播放量过滤', {
-            videoCount: videos.length,
-            playThreshold,
-        })
-
-        // 如果播放量过滤被禁用（-1），直接返回原数组
-        if (playThreshold === -1) {
-            logger.debug('播放量过滤已禁用，跳过过滤')
-            return videos
+    const detectLeadingBlack = async (video, maxSeconds, signal) => {
+        const canvas = video.ownerDocument.createElement('canvas')
+        canvas.width = 32
+        canvas.height = 18
+        const context = canvas.getContext('2d', { willReadFrequently: true })
+        // 试探canvas能否读取视频画面（跨域视频会抛出SecurityError）
+        try {
+            context.drawImage(video, 0, 0, 1, 1)
+            context.getImageData(0, 0, 1, 1)
+        } catch (error) {
+            logger.debug('视频画面无法读取，跳过片头黑屏检测', {
+                error: error.message,
+            })
+            return null
         }
 
-        const filteredVideos = videos.filter((video) => {
-            const isMatch = video.playCount >= playThreshold
-
-            if (!isMatch) {
-                logger.debug('播放量过滤失败', {
-                    videoTitle: video.title,
-                    playCount: video.playCount,
-                    threshold: playThreshold,
-                    reason: '播放量低于阈值',
-                })
-            }
-
-            return isMatch
-        })
+        const deadline = Date.now() + 8000
+        const startTime = video.currentTime
+        const wasPaused = video.paused
+
+        // 定位到指定时间并等待画面更新
+        const seekTo = (time) =>
+            new Promise((resolve) => {
+                const timer = setTimeout(resolve, 1500)
+                video.addEventListener(
+                    'seeked',
+                    () => {
+                        clearTimeout(timer)
+                        resolve()
+                    },
+                    { once: true }
+                )
+                video.currentTime = time
+            })
 
-        logger.debug('播放量过滤完成', {
-            originalCount: videos.length,
-            filteredCount: filteredVideos.length,
-            playThreshold,
-            filteredTitles: filteredVideos.map((v) => v.title),
-            failedCount: videos.length - filteredVideos.length,
-            playCounts: filteredVideos.map((v) => v.playCount),
-        })
+        try {
+            video.pause()
+            for (let time = 0; time <= maxSeconds; time++) {
+                if (signal?.aborted || Date.now() > deadline) return null
+
+                await seekTo(time)
+                if (signal?.aborted) return null
+                context.drawImage(video, 0, 0, canvas.width, canvas.height)
+                const { data } = context.getImageData(
+                    0,
+                    0,
+                    canvas.width,
+                    canvas.height
+                )
 
-        return filteredVideos
+                let luminance = 0
+                for (let i = 0; i < data.length; i += 4) {
+                    luminance +=
+                        0.299 * data[i] +
+                        0.587 * data[i + 1] +
+                        0.114 * data[i + 2]
+                }
+                if (luminance / (data.length / 4) > 20) return time
+            }
+            return maxSeconds
+        } catch (error) {
+            logger.debug('片头黑屏检测失败', error)
+            return null
+        } finally {
+            if (!signal?.aborted) {
+                video.currentTime = startTime
+                if (!wasPaused) video.play().catch(() => {}) // 自动播放被阻止时保持暂停
+            }
+        }
     }
 
     /**
-     * 按时长过滤和匹配视频
-     * 根据配置项决定是否进行时长匹配
+     * 估算音画偏移
      *
-     * @param {Array} videos - 视频对象数组
-     * @param {number} audioDuration - 音频时长（毫秒）
-     * @param {boolean} enableFilter - 是否启用时长过滤
-     * @returns {Promise<Array>} 返回按相似度排序的视频数组
-     */
-    const filterByDuration = async (videos, audioDuration, enableFilter) => {
-        const endTimer = logger.time('filterByDuration')
-        logger.debug('开始按时长过滤', {
-            videoCount: videos.length,
-            audioDuration: audioDuration / 1000, // 转换为秒
-            enableFilter,
-        })
+     * 视频比音频长出的部分通常是片头或片尾，按以下顺序估算：
+     * 1. 对齐模式为 start/end/center 时直接按时长差计算
+     * 2. 时长差小于1秒时视为已对齐
+     * 3. 章节数据：存在起点与时长差接近的章节，或首个章节为片头时，从该章节开始对齐
+     * 4. 片头黑屏：开头黑屏时长与时长差吻合时，跳过黑屏部分
+     * 5. 无可用信号时居中对齐，将片头片尾的误差各分摊一半
+     *
+     * @param {HTMLVideoElement} video - 已加载元数据的视频元素
+     * @param {Object} song - 歌曲信息
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} [signal] - 取消信号
+     * @returns {Promise<{offset: number, alignment: string, source: string, diff: number}>} 估算结果
+     */
+    const estimateOffset = async (video, song, match, signal) => {
+        const mode = config['align-mode']
+        const diff = video.duration - song.duration / 1000
+        const alignedOffsets = { start: 0, end: diff, center: diff / 2 }
 
-        if (!enableFilter) {
-            // 如果不启用时长过滤，直接返回原数组的第一个视频
-            logger.debug('时长过滤已禁用，返回第一个结果')
-            endTimer()
-            return videos.length > 0 ? [videos[0]] : []
-        }
-
-        const audioSeconds = Math.floor(audioDuration / 1000)
-        const audioMinutes = Math.floor(audioSeconds / 60)
-
-        // 阶段一：按分钟过滤
-        const minuteFilteredVideos = videos.filter((video) => {
-            // 解析视频时长字符串 MM:SS（分钟:秒格式）
-            const durationParts = video.duration.split(':')
-            let videoSeconds = 0
-
-            if (durationParts.length === 2) {
-                // 格式：分钟:秒
-                const minutes = parseInt(durationParts[0] || 0)
-                const seconds = parseInt(durationParts[1] || 0)
-                videoSeconds = minutes * 60 + seconds
-            } else if (durationParts.length === 3) {
-                // 格式：小时:分钟:秒（处理特殊情况）
-                const hours = parseInt(durationParts[0] || 0)
-                const minutes = parseInt(durationParts[1] || 0)
-                const seconds = parseInt(durationParts[2] || 0)
-                videoSeconds = hours * 3600 + minutes * 60 + seconds
-            }
-
-            const videoMinutes = Math.floor(videoSeconds / 60)
-            const isMatch = videoMinutes === audioMinutes
-
-            if (!isMatch) {
-                logger.debug('分钟过滤失败', {
-                    videoTitle: video.title,
-                    videoMinutes,
-                    audioMinutes,
-                    reason: '分钟数不匹配',
-                })
+        if (mode !== 'auto' && mode in alignedOffsets) {
+            return {
+                offset: alignedOffsets[mode],
+                alignment: mode,
+                source: '对齐模式配置',
+                diff,
             }
+        }
 
-            // 分钟数必须相同
-            return isMatch
-        })
-
-        logger.debug('分钟过滤完成', {
-            originalCount: videos.length,
-            minuteFilteredCount: minuteFilteredVideos.length,
-            audioMinutes,
-            filteredTitles: minuteFilteredVideos.map((v) => v.title),
-            failedCount: videos.length - minuteFilteredVideos.length,
-        })
-
-        if (minuteFilteredVideos.length === 0) {
-            logger.debug('没有分钟匹配的视频，返回空数组')
-            endTimer()
-            return []
+        if (Math.abs(diff) < 1) {
+            return { offset: 0, alignment: 'start', source: '时长一致', diff }
         }
 
-        // 阶段二：从MM:SS格式计算精确秒数
-        const videosWithExactDuration = minuteFilteredVideos.map((video) => {
-            // 解析视频时长字符串 MM:SS（分钟:秒格式）
-            const durationParts = video.duration.split(':')
-            let exactSeconds = 0
+        if (diff > 0) {
+            // 章节信号
+            const detail = await fetchVideoDetail(match.bvid, signal)
+            const cid = detail?.pages?.[(match.page || 1) - 1]?.cid
+            const viewPoints = cid
+                ? await fetchViewPoints(match.bvid, cid, signal)
+                : []
+            const chapter =
+                viewPoints.find(
+                    (point) =>
+                        point.from > 0 && Math.abs(point.from - diff) <= 3
+                ) ||
+                (INTRO_CHAPTER_PATTERN.test(viewPoints[0]?.content || '')
+                    ? { from: viewPoints[0].to }
+                    : null)
+            if (chapter) {
+                return {
+                    offset: chapter.from,
+                    alignment: 'start',
+                    source: '视频章节',
+                    diff,
+                }
+            }
 
-            if (durationParts.length === 2) {
-                // 格式：分钟:秒
-                const minutes = parseInt(durationParts[0] || 0)
-                const seconds = parseInt(durationParts[1] || 0)
-                exactSeconds = minutes * 60 + seconds
-            } else if (durationParts.length === 3) {
-                // 格式：小时:分钟:秒（处理特殊情况）
-                const hours = parseInt(durationParts[0] || 0)
-                const minutes = parseInt(durationParts[1] || 0)
-                const seconds = parseInt(durationParts[2] || 0)
-                exactSeconds = hours * 3600 + minutes * 60 + seconds
+            // 片头黑屏信号
+            signal?.throwIfAborted()
+            const black = await detectLeadingBlack(
+                video,
+                Math.min(diff + 2, 15),
+                signal
+            )
+            signal?.throwIfAborted()
+            if (black >= 1 && black <= diff + 3) {
+                return {
+                    offset: black,
+                    alignment: 'start',
+                    source: '片头黑屏',
+                    diff,
+                }
             }
+        }
 
-            logger.debug('从MM:SS格式计算精确时长', {
-                videoTitle: video.title,
-                bvid: video.bvid,
-                durationString: video.duration,
-                exactSeconds,
-            })
+        return { offset: diff / 2, alignment: 'center', source: '时长差', diff }
+    }
 
-            return {
-                ...video,
-                exactSeconds,
-            }
-        })
+    /**
+     * 为当前视频估算并应用音画偏移
+     *
+     * 用户手动设置过偏移的视频不做估算。估算结果不会自动保存，
+     * 偏移较明显时通过浮层提示用户接受、调节或忽略
+     *
+     * @param {Object} song - 歌曲信息
+     * @param {Object} match - 视频匹配结果 { bvid, page? }
+     * @param {AbortSignal} [signal] - 取消信号
+     */
+    const applyOffsetEstimate = async (song, match, signal) => {
+        const videoKey = getVideoKey(match)
+        const estimateKey = `${song.songKey}|${videoKey}`
 
-        // 阶段三：按原始顺序找到首个时长相差5s以内的视频
-        const matchedVideo = videosWithExactDuration.find((video) => {
-            const timeDiff = Math.abs(video.exactSeconds - audioSeconds)
-            const isMatch = timeDiff < 5 // 5秒误差
-
-            if (!isMatch) {
-                logger.debug('秒级时长过滤失败', {
-                    videoTitle: video.title,
-                    videoSeconds: video.exactSeconds,
-                    audioSeconds,
-                    timeDifference: timeDiff,
-                    reason: '时长差异超过5秒',
-                })
+        try {
+            // 等待视频元数据加载，获取准确时长
+            await waitUntil(
+                () =>
+                    activeVideo.duration > 0 &&
+                    Number.isFinite(activeVideo.duration),
+                {
+                    signal,
+                    timeout: LOAD_TIMEOUTS.video,
+                    stage: '等待视频元数据',
+                }
+            )
+
+            let estimate = offsetEstimates.get(estimateKey)
+            if (!estimate) {
+                estimatingOffset = signal
+                estimate = await estimateOffset(
+                    activeVideo,
+                    song,
+                    match,
+                    signal
+                )
+                offsetEstimates.set(estimateKey, estimate)
             }
 
-            return isMatch
-        })
+            // 估算期间已切换到其他视频或用户已手动设置偏移
+            if (currentMatch !== match) return
+            if (songPrefs.getOffset(song.songKey, videoKey) !== null) return
 
-        logger.debug('时长匹配完成', {
-            hasMatch: !!matchedVideo,
-            matchedVideo: matchedVideo
-                ? {
-                      title: matchedVideo.title,
-                      bvid: matchedVideo.bvid,
-                      duration: matchedVideo.exactSeconds,
-                      timeDifference: Math.abs(
-                          matchedVideo.exactSeconds - audioSeconds
-                      ),
-                  }
-                : null,
-            checkedVideos: videosWithExactDuration.map((v) => ({
-                title: v.title,
-                duration: v.exactSeconds,
-                timeDifference: Math.abs(v.exactSeconds - audioSeconds),
-            })),
-        })
+            estimate = {
+                ...estimate,
+                offset: Math.round(estimate.offset * 100) / 100,
+            }
+            currentEstimate = estimate
+            currentOffset = estimate.offset
+            logger.info('已估算音画偏移', { videoKey, ...estimate })
 
-        endTimer()
-        return matchedVideo ? [matchedVideo] : []
+            if (Math.abs(estimate.offset) >= 0.5) {
+                showEstimateOverlay(estimate)
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error
+            logger.warn('音画偏移估算失败', error)
+        } finally {
+            if (estimatingOffset === signal) estimatingOffset = null
+            // 被取代的加载不再改动视频，activeVideo此时可能已属于新的加载
+            if (!signal?.aborted && currentMatch === match && activeVideo) {
+                activeVideo.currentTime = Math.max(
+                    0,
+                    lastProgress + currentOffset
+                )
+            }
+        }
     }
 
     /**
-     * 缓存搜索结果
-     * 将歌曲和对应的bvid缓存起来，避免重复搜索
+     * 显示自动估算结果浮层
+     * 用户可接受（保存为该歌曲的偏移）、手动调节或忽略（保存为0偏移）
      *
-     * @param {string} songKey - 歌曲缓存键（格式：歌曲名-歌手名）
-     * @param {string} bvid - 视频的bvid
+     * @param {Object} estimate - 估算结果
      */
-    const cacheResult = (songKey, bvid) => {
-        logger.debug('缓存搜索结果', { songKey, bvid })
-        urlMap[songKey] = bvid
+    const showEstimateOverlay = (estimate) => {
+        overlay.show(
+            dom(
+                'div',
+                {
+                    style: {
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                    },
+                },
+                dom('span', {
+                    innerText: `自动对齐 ${formatOffset(estimate.offset)}（${
+                        estimate.source
+                    }）`,
+                }),
+                dom('button', {
+                    innerText: '接受',
+                    onclick: () => setOffset(estimate.offset),
+                }),
+                dom('button', {
+                    innerText: '调节',
+                    onclick: () => showOffsetControls(),
+                }),
+                dom('button', {
+                    innerText: '忽略',
+                    onclick: () => setOffset(0),
+                })
+            ),
+            8000
+        )
     }
 
     /**
-     * 智能视频搜索主函数（带缓存）
-     *
-     * 搜索流程（7步智能匹配）：
-     * 1. 🗂️ 缓存查找：检查是否已有缓存结果
-     * 2. 🔍 执行搜索：调用Bilibili API搜索视频
-     * 3. 📊 解析结果：标准化API返回数据格式
-     * 4. 📝 标题过滤：基于相似度算法过滤（50%阈值）
-     * 5. ⏱️ 时长过滤：精确匹配音频和视频时长
-     * 6. 📈 播放量过滤：过滤低播放量视频
-     * 7. 💾 缓存结果：将成功结果缓存供下次使用
-     *
-     * 算法特点：
-     * - 多级过滤：逐步缩小候选范围
-     * - 智能匹配：基于最长公共子序列的相似度计算
-     * - 性能优化：缓存机制避免重复API调用
-     * - 容错处理：各阶段失败都有优雅降级
+     * 设置当前歌曲在当前视频上的音画偏移
+     * 立即按新偏移重新定位视频，并持久化到歌曲偏好
      *
-     * @param {string} songName - 歌曲名
-     * @param {string} artistName - 歌手名
-     * @param {number} audioDuration - 音频时长（毫秒）
-     * @returns {Promise<string|null>} 返回匹配的bvid，未找到返回null
-     */
-    const searchVideoWithCache = async (
-        songName,
-        artistName,
-        audioDuration
-    ) => {
-        const endTimer = logger.time('searchVideoWithCache')
-        const songKey = `${songName}-${artistName}`
-
-        logger.info('开始智能视频搜索', {
-            songName,
-            artistName,
-            audioDuration: audioDuration / 1000,
-        })
-
-        // 步骤1：先查找缓存
-        if (urlMap[songKey]) {
-            logger.info('使用缓存结果', {
-                songKey,
-                bvid: urlMap[songKey],
-            })
-            endTimer()
-            return urlMap[songKey]
+     * @param {number} offset - 偏移秒数（正数表示视频超前，用于跳过视频片头）
+     */
+    const setOffset = (offset) => {
+        if (!currentSong || !currentMatch) {
+            overlay.show('当前没有正在播放的视频')
+            return
         }
 
-        // 步骤2：执行搜索
-        const cleanedSongName = cleanSongName(songName)
-        const keyword =
-            config['search-kwd']
-                .replace('{name}', cleanedSongName)
-                .replace('{artist}', artistName) ||
-            `MV ${cleanedSongName} - ${artistName}`
-
-        logger.info('搜索关键词', keyword)
-
-        let searchResult
-        try {
-            searchResult = await searchVideo(keyword)
-        } catch (error) {
-            logger.error('搜索失败', error)
-            endTimer()
-            return null
-        }
+        currentOffset = Math.round(offset * 100) / 100
+        songPrefs.setOffset(
+            currentSong.songKey,
+            getVideoKey(currentMatch),
+            currentOffset
+        )
 
-        // 步骤3：解析结果为标准格式
-        const videos = parseSearchResults(searchResult)
-        if (videos.length === 0) {
-            logger.warn('搜索结果为空')
-            endTimer()
-            return null
+        if (activeVideo) {
+            activeVideo.currentTime = Math.max(0, lastProgress + currentOffset)
         }
+        logger.info('音画偏移已调整', { offset: currentOffset })
+        showOffsetControls()
+    }
 
-        logger.info('搜索结果解析完成', {
-            totalVideos: videos.length,
-            videoTitles: videos.map((v) => v.title),
-            videoDurations: videos.map((v) => v.duration),
-            videoPlayCounts: videos.map((v) => v.playCount),
-        })
-
-        // 步骤4：标题相似度过滤
-        const titleFilteredVideos = filterByTitle(videos, songName, artistName)
-        if (titleFilteredVideos.length === 0) {
-            logger.warn('标题相似度过滤后无结果', {
-                originalCount: videos.length,
-                songName,
-                artistName,
-                similarityThreshold: '50%',
-                reason: '所有视频标题与歌曲名相似度都低于50%',
-            })
-            endTimer()
-            return null
+    /**
+     * 清除当前视频的手动偏移，恢复为自动估算值（未估算时为0）
+     */
+    const resetOffset = () => {
+        if (!currentSong || !currentMatch) {
+            overlay.show('当前没有正在播放的视频')
+            return
         }
 
-        logger.info('标题相似度过滤完成', {
-            originalCount: videos.length,
-            filteredCount: titleFilteredVideos.length,
-            similarityThreshold: '50%',
-            remainingTitles: titleFilteredVideos.map((v) => v.title),
-            similarityScores: titleFilteredVideos.map((v) =>
-                Math.round(
-                    calculateSimilarity(v.title, songName, artistName) * 100
-                )
-            ),
-        })
-
-        // 步骤5：时长过滤
-        const durationFilteredVideos = await filterByDuration(
-            titleFilteredVideos,
-            audioDuration,
-            config['filter-length']
+        songPrefs.setOffset(
+            currentSong.songKey,
+            getVideoKey(currentMatch),
+            null
         )
-        if (durationFilteredVideos.length === 0) {
-            logger.warn('时长过滤后无结果', {
-                originalCount: titleFilteredVideos.length,
-                audioDuration: audioDuration / 1000,
-                reason: '没有视频时长与音频时长匹配',
-            })
-            endTimer()
-            return null
-        }
+        currentOffset = currentEstimate?.offset ?? 0
 
-        logger.info('时长过滤完成', {
-            originalCount: titleFilteredVideos.length,
-            filteredCount: durationFilteredVideos.length,
-            matchedVideo: durationFilteredVideos[0]
-                ? {
-                      title: durationFilteredVideos[0].title,
-                      duration:
-                          durationFilteredVideos[0].exactSeconds ||
-                          durationFilteredVideos[0].duration,
-                  }
-                : null,
-        })
-
-        // 步骤6：播放量过滤
-        const playFilteredVideos = filterByPlayCount(
-            durationFilteredVideos,
-            config['filter-play']
-        )
-        if (playFilteredVideos.length === 0) {
-            logger.warn('播放量过滤后无结果', {
-                originalCount: durationFilteredVideos.length,
-                playThreshold: config['filter-play'],
-                reason: '所有视频播放量都低于阈值',
-            })
-            endTimer()
-            return null
+        if (activeVideo) {
+            activeVideo.currentTime = Math.max(0, lastProgress + currentOffset)
         }
-
-        logger.info('播放量过滤完成', {
-            originalCount: durationFilteredVideos.length,
-            filteredCount: playFilteredVideos.length,
-            playThreshold: config['filter-play'],
-            remainingTitles: playFilteredVideos.map((v) => v.title),
-            remainingPlayCounts: playFilteredVideos.map((v) => v.playCount),
-        })
-
-        // 步骤7：返回结果并缓存
-        const selectedVideo = playFilteredVideos[0]
-        logger.info('搜索完成，选择视频', {
-            title: selectedVideo.title,
-            bvid: selectedVideo.bvid,
-            duration: selectedVideo.exactSeconds || selectedVideo.duration,
-            playCount: selectedVideo.playCount,
-            author: selectedVideo.author,
-            searchProcess: {
-                originalResults: videos.length,
-                afterTitleFilter: titleFilteredVideos.length,
-                afterDurationFilter: durationFilteredVideos.length,
-                afterPlayFilter: playFilteredVideos.length,
-            },
-        })
-
-        cacheResult(songKey, selectedVideo.bvid)
-        endTimer()
-        return selectedVideo.bvid
+        logger.info('音画偏移已重置', { offset: currentOffset })
+        showOffsetControls()
     }
 
     /**
-     * 获取当前播放歌曲信息的闭包函数
-     * 使用缓存机制优化性能，避免重复搜索网易云API函数
-     * 基于LibSongInfo库实现
-     *
-     * 缓存机制说明：
-     * - 使用Map缓存已找到的API函数
-     * - 避免重复调用BetterNCM的findApiFunction
-     * - 提高性能，减少函数查找开销
+     * 显示音画偏移调节浮层
+     * 包含当前偏移值和增减、重置按钮
      */
-    const getPlayingSong = (() => {
-        // 函数缓存Map，避免重复查找API函数
-        const cachedFunctionMap = new Map()
-
-        // LibSongInfo库参考：https://github.com/Steve-xmh/LibSongInfo/blob/main/index.ts
+    const showOffsetControls = () => {
+        const step = getNumberConfig('offset-step', 0.5)
+        overlay.show(
+            dom(
+                'div',
+                {
+                    style: {
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                    },
+                },
+                dom('span', {
+                    innerText: `音画偏移 ${formatOffset(currentOffset)}`,
+                }),
+                dom('button', {
+                    innerText: `-${step}s`,
+                    onclick: () => setOffset(currentOffset - step),
+                }),
+                dom('button', {
+                    innerText: `+${step}s`,
+                    onclick: () => setOffset(currentOffset + step),
+                }),
+                dom('button', {
+                    innerText: '重置',
+                    onclick: () => resetOffset(),
+                })
+            )
+        )
+    }
 
-        /**
-         * 调用缓存的搜索函数
-         * 使用缓存机制查找并调用网易云音乐的API函数
-         *
-         * 缓存策略：
-         * 1. 检查函数是否已缓存
-         * 2. 未缓存时通过BetterNCM API查找函数
-         * 3. 绑定函数到正确上下文并缓存
-         * 4. 执行缓存的函数
-         *
-         * @param {string} searchFunctionName - 要查找的函数名
-         * @param {Array} args - 传递给函数的参数数组
-         * @returns {*} 函数执行结果
-         * @throws {TypeError} 当函数未找到时抛出异常
-         */
-        function callCachedSearchFunction(searchFunctionName, args) {
-            // 检查函数是否已缓存
-            if (!cachedFunctionMap.has(searchFunctionName.toString())) {
-                // 通过BetterNCM API查找网易云音乐的内部函数
-                const findResult =
-                    betterncm.ncm.findApiFunction(searchFunctionName)
-                if (findResult) {
-                    const [func, funcRoot] = findResult
-                    // 绑定函数到正确的上下文并缓存
-                    cachedFunctionMap.set(
-                        searchFunctionName.toString(),
-                        func.bind(funcRoot)
-                    )
-                }
-            }
+    /**
+     * 音画偏移快捷键
+     * - Alt+← / Alt+→：按配置步长调节偏移
+     * - Alt+Shift+← / Alt+Shift+→：以0.1秒微调
+     * - Alt+0：清除手动偏移，恢复自动估算值
+     * 焦点在输入框中时不响应
+     */
+    document.addEventListener('keydown', (event) => {
+        if (!config['offset-hotkeys'] || !event.altKey) return
+        if (event.target.closest?.('input, textarea, [contenteditable]')) {
+            return
+        }
 
-            // 获取缓存的函数
-            const cachedFunc = cachedFunctionMap.get(
-                searchFunctionName.toString()
-            )
-            if (cachedFunc) {
-                return cachedFunc.apply(null, args) // 执行函数并返回结果
-            } else {
-                throw new TypeError(
-                    `函数 ${searchFunctionName.toString()} 未找到`
-                )
-            }
+        const step = event.shiftKey ? 0.1 : getNumberConfig('offset-step', 0.5)
+        if (event.key === 'ArrowLeft') {
+            setOffset(currentOffset - step)
+        } else if (event.key === 'ArrowRight') {
+            setOffset(currentOffset + step)
+        } else if (event.key === '0') {
+            resetOffset()
+        } else {
+            return
         }
+        event.preventDefault()
+    })
 
-        /**
-         * 获取当前正在播放的歌曲信息
-         * @returns {Object} 返回包含歌曲名、歌手、时长等信息的对象
-         */
-        return function getPlayingSong() {
-            return callCachedSearchFunction('getPlaying', []) // 调用网易云的getPlaying函数
+    /**
+     * 面板快捷键
+     * - Alt+C：打开当前歌曲的候选视频面板
+     * - Alt+S：打开手动搜索面板
+     * - Esc：关闭面板
+     * 焦点在输入框中时不响应打开快捷键
+     */
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && panel.isOpen()) {
+            panel.close()
+            event.preventDefault()
+            return
+        }
+        if (!config['panel-hotkeys'] || !event.altKey) return
+        if (event.target.closest?.('input, textarea, [contenteditable]')) {
+            return
         }
-    })()
 
-    // 搜索结果缓存对象，避免重复API调用
-    const urlMap = {}
+        if (event.code === 'KeyC') {
+            showCandidatePicker()
+        } else if (event.code === 'KeyS') {
+            showSearchPanel()
+        } else {
+            return
+        }
+        event.preventDefault()
+    })
 
-    // iframe内部视频元素的引用，用于控制播放
-    let ifrVideo = null
+    // 向配置界面暴露播放器操作
+    Object.assign(pluginActions, {
+        getCurrentState: () =>
+            currentSong && {
+                ...currentSong,
+                videoKey: currentMatch && getVideoKey(currentMatch),
+                offset: currentOffset,
+                prefs: songPrefs.get(currentSong.songKey),
+            },
+        pinVideo,
+        unpinVideo,
+        markWrongVideo,
+        clearBlacklist,
+        showOffsetControls,
+        showCandidatePicker,
+        showSearchPanel,
+        previewSearchKeyword: (template) => {
+            if (!currentSong) return null
+            try {
+                return {
+                    keyword: renderKeywordTemplate(
+                        template,
+                        getKeywordVariables(currentSong)
+                    ),
+                }
+            } catch (error) {
+                return { error: error.message }
+            }
+        },
+        applyConfig: () => {
+            syncPlayerWatchers()
+            updatePowerSaving()
+            applyQuality()
+            backgroundMonitor.update()
+        },
+        checkSelectors: () => {
+            // 只有网页播放器正在显示视频页面时检查才有意义
+            if (ifr.style.display === 'none' || !playerInitialized) return null
+            const report = selectorRegistry.healthCheck(ifr.contentDocument)
+            logger.info('选择器健康检查', report)
+            return report
+        },
+    })
 
     /**
-     * 重新加载视频的核心函数（重构后）
-     * 使用新的搜索流程，简化逻辑，提高可维护性
+     * 音画漂移控制器
+     *
+     * 替代超过阈值即强制定位的同步方式，避免缓冲中的播放器反复定位、卡顿：
+     * - 🎯 跳转识别：音频进度相对预期突变（用户拖动进度条）时才强制定位
+     * - 🐢 平滑校正：小幅漂移通过短暂调整playbackRate追平，不打断播放
+     * - ⏳ 缓冲退避：视频缓冲或定位中时暂停校正，连续强制定位时冷却时间翻倍
+     *
+     * @namespace driftController
      */
-    const reloadVideo = async () => {
-        const endTimer = logger.time('reloadVideo')
-        // 重置播放器状态，允许重新初始化
-        resetPlayerState()
+    const driftController = {
+        // 漂移小于此值（秒）时视为已同步
+        DEADBAND: 0.05,
 
-        try {
-            // 获取当前播放歌曲的信息
-            const {
-                data: { name, artists, duration }, // 解构获取歌曲名、歌手、时长
-            } = getPlayingSong()
+        // 音频进度相对预期突变超过此值（秒）时视为用户跳转
+        SEEK_JUMP: 1.5,
 
-            const artistName = artists[0]?.name || '未知歌手'
+        // 用于追平漂移的时间窗口（秒），决定倍速调整幅度
+        CORRECTION_WINDOW: 2,
 
-            logger.info('开始加载视频', {
-                songName: name,
-                artist: artistName,
-                duration: duration / 1000, // 转换为秒
-            })
+        // 上一次进度事件的音频进度与时间
+        prevProgress: null,
+        prevAt: 0,
 
-            // 使用新的搜索流程
-            const bvid = await searchVideoWithCache(name, artistName, duration)
+        // 强制定位后的冷却截止时间与当前冷却时长（毫秒）
+        cooldownUntil: 0,
+        cooldown: 1000,
+        lastHardSeekAt: 0,
 
-            if (bvid) {
-                // 构建视频页面URL
-                const videoUrl = `https://www.bilibili.com/video/${bvid}`
+        /**
+         * 重置控制器状态
+         * 切换视频、播放状态变化或手动调整偏移后调用
+         *
+         * @param {HTMLVideoElement} [video] - 需要恢复正常倍速的视频元素
+         */
+        reset(video) {
+            this.prevProgress = null
+            this.cooldownUntil = 0
+            this.cooldown = 1000
+            if (video) this.setRate(video, 1)
+        },
 
-                logger.info('找到匹配视频', {
-                    bvid,
-                    url: videoUrl,
-                })
+        /**
+         * 设置视频倍速，仅在变化时写入
+         * @param {HTMLVideoElement} video - 视频元素
+         * @param {number} rate - 播放倍速
+         */
+        setRate(video, rate) {
+            if (Math.abs(video.playbackRate - rate) > 0.001) {
+                video.playbackRate = rate
+            }
+        },
 
-                // 确保播放器可见
-                ifr.style.display = 'block'
+        /**
+         * 强制定位到目标时间，并按连续定位次数延长冷却时间
+         * @param {HTMLVideoElement} video - 视频元素
+         * @param {number} target - 目标时间（秒）
+         * @param {number} now - 当前时间戳（毫秒）
+         * @param {string} reason - 定位原因，用于日志
+         */
+        hardSeek(video, target, now, reason) {
+            // 5秒内再次强制定位说明播放器跟不上，冷却时间翻倍（最长8秒）
+            this.cooldown =
+                now - this.lastHardSeekAt < 5000
+                    ? Math.min(this.cooldown * 2, 8000)
+                    : 1000
+            this.lastHardSeekAt = now
+            this.cooldownUntil = now + this.cooldown
+
+            this.setRate(video, 1)
+            video.currentTime = target
+            logger.debug('强制定位视频', {
+                reason,
+                target,
+                cooldown: this.cooldown,
+            })
+        },
 
-                // 切换到视频页面并初始化播放器
-                await switchUrl(videoUrl, initBiliPlayer)
+        /**
+         * 根据音频进度同步视频
+         * @param {HTMLVideoElement} video - 视频元素
+         * @param {number} target - 视频目标时间（秒，已包含偏移）
+         * @param {number} progress - 音频进度（秒）
+         */
+        sync(video, target, progress) {
+            const now = performance.now()
+
+            // 根据上一次进度推算当前应有的进度，判断是否发生跳转
+            // 进度未变化（暂停中）时不视为跳转
+            const expected =
+                this.prevProgress === null
+                    ? progress
+                    : this.prevProgress + (now - this.prevAt) / 1000
+            const jumped =
+                progress !== this.prevProgress &&
+                Math.abs(progress - expected) > this.SEEK_JUMP
+            this.prevProgress = progress
+            this.prevAt = now
+
+            const drift = video.currentTime - target // 正数表示视频超前
+            const seekThreshold = getNumberConfig('sync-seek-threshold', 2)
+
+            // 用户跳转：立即强制定位
+            if (jumped) {
+                this.hardSeek(video, target, now, '音频跳转')
+                return
+            }
 
-                // 等待并获取iframe内部的video元素
-                ifrVideo = await betterncm.utils.waitForFunction(
-                    () => ifr.contentDocument.querySelector('video'),
-                    100
-                )
+            // 缓冲或定位中：恢复正常倍速，等待播放器就绪
+            if (video.seeking || video.readyState < 3) {
+                this.setRate(video, 1)
+                return
+            }
 
-                logger.debug('视频加载完成', ifrVideo)
-                ifrVideo.volume = 0 // 强制静音，避免音频干扰
-            } else {
-                // 没有找到匹配的视频，隐藏播放器以恢复网易云背景
-                logger.warn('未找到匹配的视频，隐藏播放器', {
-                    songName: name,
-                    artist: artistName,
-                })
-                await fadeOut()
-                ifr.style.display = 'none' // 隐藏播放器，恢复网易云背景
+            // 漂移过大：倍速无法及时追平，冷却结束后强制定位
+            if (Math.abs(drift) > seekThreshold) {
+                if (now >= this.cooldownUntil) {
+                    this.hardSeek(video, target, now, '漂移过大')
+                }
+                return
             }
-        } catch (error) {
-            logger.error('视频加载失败，隐藏播放器', error)
-            // 加载失败时隐藏播放器以恢复网易云背景
-            await fadeOut()
-            ifr.style.display = 'none' // 隐藏播放器，恢复网易云背景
-        } finally {
-            endTimer()
-        }
+
+            if (Math.abs(drift) < this.DEADBAND) {
+                this.setRate(video, 1)
+                return
+            }
+
+            // 平滑校正：在CORRECTION_WINDOW内追平漂移
+            const maxRate = getNumberConfig('sync-rate-range', 10) / 100
+            const rate = Math.min(
+                1 + maxRate,
+                Math.max(1 - maxRate, 1 - drift / this.CORRECTION_WINDOW)
+            )
+            this.setRate(video, rate)
+        },
     }
 
     /**
@@ -1342,7 +6929,14 @@ plugin.onLoad(() => {
     legacyNativeCmder.appendRegisterCall(
         'Load', // 事件类型：加载
         'audioplayer', // 目标组件：音频播放器
-        betterncm.utils.debounce(reloadVideo) // 使用防抖包装的重载视频函数
+        // 使用防抖包装的重载视频函数，视频已卸载时推迟到恢复可见后再加载
+        betterncm.utils.debounce(() => {
+            if (backgroundMonitor.unloaded) {
+                logger.debug('背景视频已卸载，切歌后暂不加载')
+                return
+            }
+            reloadVideo()
+        })
     )
 
     /**
@@ -1363,10 +6957,19 @@ plugin.onLoad(() => {
         (_, __, state) => {
             // 回调函数，state为播放状态（1=播放，0=暂停）
 
-            if (state === 1) {
-                ifrVideo?.play() // 音频播放时，视频也播放
+            // 播放状态变化后进度不再连续，重新开始漂移跟踪
+            driftController.reset()
+
+            // 负偏移时视频在音频进度追上之前保持暂停
+            if (
+                state === 1 &&
+                lastProgress + currentOffset >= 0 &&
+                !isStillFrame() &&
+                !backgroundMonitor.isSuspended()
+            ) {
+                activeVideo?.play() // 音频播放时，视频也播放
             } else {
-                ifrVideo?.pause() // 音频暂停时，视频也暂停
+                activeVideo?.pause() // 音频暂停时，视频也暂停
             }
         }
     )
@@ -1375,14 +6978,15 @@ plugin.onLoad(() => {
      * 注册播放进度同步监听器
      *
      * 同步策略：
-     * - 精度控制：0.3秒误差阈值，避免频繁同步
+     * - 音画偏移：视频目标时间 = 音频进度 + 当前歌曲的偏移
+     * - 漂移控制：由driftController区分跳转与漂移，小幅漂移通过倍速平滑校正
      * - 状态检查：确保音频播放时视频也在播放
      * - 强制静音：避免音频冲突，确保良好体验
      *
      * 同步逻辑：
      * 1. 检查视频元素是否存在
-     * 2. 计算音视频进度差异
-     * 3. 差异超过阈值时强制同步
+     * 2. 计算视频目标时间
+     * 3. 交由漂移控制器校正进度
      * 4. 检查播放状态确保一致性
      * 5. 强制静音避免音频冲突
      */
@@ -1391,27 +6995,40 @@ plugin.onLoad(() => {
         'audioplayer', // 目标组件：音频播放器
         (_, progress) => {
             // 回调函数，progress为当前播放时间（秒）
-            if (!ifrVideo) {
-                return // 如果没有视频元素，直接返回
+            lastProgress = progress
+            if (!activeVideo || estimatingOffset) {
+                return // 没有视频元素或正在估算偏移时不同步
+            }
+
+            // 静止画面省电状态或不可见时：保持暂停，恢复时再追上进度
+            if (isStillFrame() || backgroundMonitor.isSuspended()) {
+                activeVideo.pause()
+                return
             }
 
-            // 进度同步：当视频进度与音频进度相差超过0.3秒时，强制同步
-            const timeDiff = Math.abs(ifrVideo?.currentTime - progress)
-            if (timeDiff > 0.3) {
-                ifrVideo.currentTime = progress
+            // 负偏移：音频进度尚未到达视频起点，视频停在第一帧等待
+            const target = progress + currentOffset
+            if (target < 0) {
+                if (activeVideo.currentTime !== 0) activeVideo.currentTime = 0
+                activeVideo.pause()
+                activeVideo.volume = 0
+                return
             }
 
+            // 进度同步：跳转时强制定位，漂移时平滑校正
+            driftController.sync(activeVideo, target, progress)
+
             // 播放状态检查：确保音频播放时视频也在播放
             // 通过检查LibFrontendPlay插件的播放状态来判断
             if (
                 loadedPlugins.LibFrontendPlay?.currentAudioPlayer?.paused ===
                 false
             ) {
-                ifrVideo?.play()
+                activeVideo?.play()
             }
 
             // 强制静音：确保视频始终静音，避免与音频冲突
-            ifrVideo.volume = 0
+            activeVideo.volume = 0
         }
     )
 
@@ -1434,77 +7051,244 @@ plugin.onConfig((tools) => {
     logger.debug('打开配置界面')
     const configDoms = [] // 存储所有配置项DOM元素的数组
 
+    // 各配置项的控件，用于恢复默认值和互斥开关联动时更新显示
+    const configControls = {}
+
     /**
-     * 动态生成配置项DOM并绑定事件处理器
-     *
-     * 生成逻辑：
-     * - 遍历configKeys对象的所有配置项
-     * - 根据配置类型生成对应的HTML控件
-     * - 绑定change事件处理器
-     * - 配置变更时自动保存和应用
-     */
-    for (const [key, [name, description]] of Object.entries(configKeys)) {
-        // 创建配置项容器
-        const configDom = document.createElement('div')
-        configDom.classList.add('setting-item')
-
-        // 生成配置项的HTML结构，包括名称、描述和输入控件
-        if (key === 'log-level') {
-            // 日志级别使用下拉选择框
-            configDom.innerHTML = `
-                <span class="setting-item-name">${name}</span>
-                <span class="setting-item-description">${description}</span>
-                <select style="color:black; padding: 4px; border-radius: 4px;">
-                    <option value="debug">Debug - 调试信息</option>
-                    <option value="info">Info - 一般信息</option>
-                    <option value="warn">Warn - 警告信息</option>
-                    <option value="error">Error - 错误信息</option>
-                </select>
-            `
-
-            const select = configDom.querySelector('select')
-            select.value = config[key]
-
-            select.addEventListener('change', () => {
-                config[key] = select.value
-                saveConfig()
-                updatePluginStyle()
+     * 保存配置并立即应用到插件
+     * @returns {void}
+     */
+    const applyConfigChange = () => {
+        saveConfig() // 保存配置到localStorage
+        updatePluginStyle() // 立即应用样式更改
+        pluginActions.applyConfig() // 立即应用画质和省电设置
+    }
+
+    /**
+     * 校验并提交配置项的新值
+     * 无效的值只显示错误信息，不会保存；互斥的开关会被自动关闭
+     *
+     * @param {string} key - 配置项键名
+     * @param {*} raw - 控件中的值
+     * @returns {void}
+     */
+    const commitConfig = (key, raw) => {
+        const { value, error } = configSchema.validate(key, raw)
+        configControls[key].showError(error)
+        if (error) return
+
+        config[key] = value
+        for (const other of configSchema.applyExclusions(key)) {
+            configControls[other].setValue(config[other])
+        }
+        applyConfigChange()
+    }
+
+    /**
+     * 根据配置项类型创建输入控件
+     *
+     * 控件类型：
+     * - boolean：复选框
+     * - enum：下拉选择框
+     * - number：数字输入框，control为slider时使用滑块并显示当前值
+     * - string：文本输入框
+     *
+     * 数值控件在输入过程中实时校验和应用，其余控件在值变化后应用
+     *
+     * @param {string} key - 配置项键名
+     * @returns {{element: HTMLElement, input: HTMLElement, setValue: Function}} 控件
+     */
+    const createConfigInput = (key) => {
+        const item = configSchema.items[key]
+        const inputStyle = { color: 'black' }
+
+        if (item.type === 'boolean') {
+            const input = dom('input', { type: 'checkbox' })
+            input.addEventListener('change', () =>
+                commitConfig(key, input.checked)
+            )
+            return {
+                element: input,
+                input,
+                setValue: (value) => (input.checked = value),
+            }
+        }
+
+        if (item.type === 'enum') {
+            const input = dom(
+                'select',
+                {
+                    style: {
+                        ...inputStyle,
+                        padding: '4px',
+                        borderRadius: '4px',
+                    },
+                },
+                ...item.options.map(([value, label]) =>
+                    dom('option', { value, innerHTML: label })
+                )
+            )
+            input.addEventListener('change', () =>
+                commitConfig(key, input.value)
+            )
+            return {
+                element: input,
+                input,
+                setValue: (value) => (input.value = value),
+            }
+        }
+
+        if (item.type === 'number') {
+            const slider = item.control === 'slider'
+            const input = dom('input', {
+                type: slider ? 'range' : 'number',
+                min: item.min,
+                max: item.max,
+                step: item.step ?? (item.integer ? 1 : 'any'),
+                style: slider ? {} : inputStyle,
             })
-        } else {
-            // 其他配置项使用原有的checkbox和input
-            configDom.innerHTML = `
-                <span class="setting-item-name">${name}</span>
-                <span class="setting-item-description">${description}</span>
-                <input type="${
-                    typeof config[key] === 'boolean' ? 'checkbox' : 'input'
-                }" style="color:black;">
-            `
-
-            // 获取输入控件的引用
-            const checkbox = configDom.querySelector('input')
-
-            // 根据配置类型设置初始值
-            if (typeof config[key] === 'boolean')
-                checkbox.checked = config[key] // 布尔值：设置勾选状态
-            else if (typeof config[key] === 'string')
-                checkbox.value = config[key] // 字符串：设置输入值
-
-            // 绑定值变化事件处理器
-            checkbox.addEventListener('change', () => {
-                // 根据配置类型更新配置对象
-                config[key] =
-                    typeof config[key] === 'boolean'
-                        ? checkbox.checked
-                        : checkbox.value
-
-                saveConfig() // 保存配置到localStorage
-                updatePluginStyle() // 立即应用样式更改
+            const label = dom('span', { class: ['setting-item-value'] })
+            input.addEventListener('input', () => {
+                label.innerText = input.value
+                commitConfig(key, input.value)
+            })
+            return {
+                element: slider
+                    ? dom(
+                          'div',
+                          { class: ['setting-item-slider'] },
+                          input,
+                          label
+                      )
+                    : input,
+                input,
+                setValue: (value) => {
+                    input.value = value
+                    label.innerText = value
+                },
+            }
+        }
+
+        const input = dom('input', { type: 'text', style: inputStyle })
+        input.addEventListener('change', () => commitConfig(key, input.value))
+        return {
+            element: input,
+            input,
+            setValue: (value) => (input.value = value),
+        }
+    }
+
+    /**
+     * 创建单个配置项DOM
+     *
+     * 结构：名称和恢复默认按钮、描述、输入控件、校验错误信息
+     *
+     * @param {string} key - 配置项键名
+     * @returns {HTMLElement} 配置项DOM
+     */
+    const createConfigItem = (key) => {
+        const [name, description] = configKeys[key]
+        const control = createConfigInput(key)
+        const error = dom('span', { class: ['setting-item-error'] })
+        const configDom = dom(
+            'div',
+            { class: ['setting-item'] },
+            dom(
+                'div',
+                { class: ['setting-item-header'] },
+                dom('span', { class: ['setting-item-name'], innerText: name }),
+                dom('button', {
+                    class: ['setting-item-reset'],
+                    innerHTML: '恢复默认',
+                    title: `默认值：${configSchema.defaults[key]}`,
+                    onclick: () => {
+                        configControls[key].setValue(configSchema.defaults[key])
+                        commitConfig(key, configSchema.defaults[key])
+                    },
+                })
+            ),
+            dom('span', {
+                class: ['setting-item-description'],
+                innerText: description,
+            }),
+            control.element,
+            error
+        )
+
+        configControls[key] = {
+            ...control,
+            showError: (message) => {
+                error.innerText = message ? `${message}，未保存` : ''
+            },
+        }
+        control.setValue(config[key])
+
+        // 关键词模板：输入时用当前歌曲实时预览生成结果
+        if (key === 'search-kwd') {
+            const preview = dom('span', {
+                class: ['setting-item-description'],
             })
+            const updatePreview = () => {
+                const result = pluginActions.previewSearchKeyword(
+                    control.input.value
+                )
+                if (!result) {
+                    preview.textContent = '预览：播放歌曲后显示'
+                } else if (result.error) {
+                    preview.textContent = `模板错误：${result.error}`
+                } else {
+                    preview.textContent = `预览：${
+                        result.keyword || '（结果为空，将使用默认格式）'
+                    }`
+                }
+            }
+            control.input.addEventListener('input', updatePreview)
+            configControls[key].setValue = (value) => {
+                control.setValue(value)
+                updatePreview()
+            }
+            updatePreview()
+            configDom.appendChild(preview)
         }
 
-        configDoms.push(configDom) // 将配置项添加到DOM数组
+        return configDom
+    }
+
+    /**
+     * 按configSchema的分组生成配置项DOM
+     * 分组内按configKeys中的顺序排列
+     */
+    for (const [group, title] of configSchema.groups) {
+        configDoms.push(
+            dom('div', { class: ['setting-group-title'], innerText: title })
+        )
+        for (const key of Object.keys(configKeys)) {
+            if (configSchema.items[key]?.group === group) {
+                configDoms.push(createConfigItem(key))
+            }
+        }
     }
 
+    // 将所有配置项恢复为默认值
+    const resetAllBtn = dom('button', {
+        innerHTML: '全部恢复默认',
+        style: {
+            color: 'black',
+            border: 'none',
+            padding: '10px 20px',
+            width: '100%',
+        },
+        onclick: () => {
+            for (const key in configKeys) {
+                config[key] = configSchema.defaults[key]
+                configControls[key].setValue(config[key])
+                configControls[key].showError()
+            }
+            applyConfigChange()
+            logger.info('配置已全部恢复默认值')
+        },
+    })
+
     // 创建并注入配置界面的美化CSS样式
     const style = document.createElement('style')
     style.innerHTML = `
@@ -1538,6 +7322,45 @@ plugin.onConfig((tools) => {
             word-break: break-word;
         }
 
+        .setting-group-title {
+            padding: 16px 16px 4px;
+            font-size: 16px;
+            font-weight: 600;
+            color: var(--text-color, #333);
+        }
+
+        .setting-item-reset {
+            color: black;
+            border: none;
+            padding: 2px 8px;
+            font-size: 12px;
+        }
+
+        .setting-item-slider {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+
+        .setting-item-slider input {
+            flex: 1;
+        }
+
+        .setting-item-value {
+            min-width: 48px;
+            font-size: 12px;
+            color: var(--text-color, #333);
+        }
+
+        .setting-item-error {
+            font-size: 12px;
+            color: #e53935;
+        }
+
+        .setting-item-error:empty {
+            display: none;
+        }
+
         .switch {
             position: relative;
             display: inline-block;
@@ -1647,14 +7470,19 @@ plugin.onConfig((tools) => {
                             await betterncm.utils.delay(200) // 等待页面渲染
 
                             // 查找并点击登录按钮
-                            const goLoginBtn = td.querySelector('.go-login-btn')
+                            const goLoginBtn = selectorRegistry.query(
+                                td,
+                                'loginButton'
+                            )
                             if (goLoginBtn) {
                                 goLoginBtn.click() // 触发登录流程
 
                                 // 创建并注入自定义样式，优化登录界面显示
                                 const s = document.createElement('style')
                                 s.innerHTML = `
-                                    .bili-mini-content-wp {
+                                    ${selectorRegistry.rule(
+                                        ['loginDialog'],
+                                        `
                                         position: absolute;
                                         left: 0;
                                         top: 0;
@@ -1662,13 +7490,16 @@ plugin.onConfig((tools) => {
                                         width: 100% !important;
                                         height: 500px !important;
                                         border-radius: 0;
-                                    }
+                                    `
+                                    )}
                                     body{
                                         overflow:hidden;
                                     }
-                                    .bili-mini-close-icon,.i_cecream{
-                                        display:none;
-                                    }
+                                    ${selectorRegistry.rule(
+                                        ['loginPopupClose'],
+                                        'display:none;',
+                                        ['.i_cecream']
+                                    )}
                                 `
                                 td.head.append(s) // 将样式添加到页面头部
                             } else {
@@ -1682,9 +7513,222 @@ plugin.onConfig((tools) => {
         })
     )
 
+    /**
+     * 创建选择器管理组件
+     *
+     * 功能说明：
+     * - 健康检查：在当前视频页面上检查每个角色能否找到元素
+     * - 覆盖选择器：为角色添加优先使用的选择器，每行一个，留空恢复内置选择器
+     *
+     * @returns {HTMLElement} 管理组件的DOM元素
+     */
+    const createSelectorPanel = () => {
+        const buttonStyle = {
+            color: 'black',
+            border: 'none',
+            padding: '6px 12px',
+            marginRight: '8px',
+        }
+        const status = dom('span', {
+            class: ['setting-item-description'],
+            style: { whiteSpace: 'pre-line' },
+        })
+        const roleSelect = dom('select', {
+            style: { color: 'black', padding: '4px', borderRadius: '4px' },
+        })
+        const textarea = dom('textarea', {
+            rows: 3,
+            placeholder: '覆盖选择器，每行一个，留空恢复内置选择器',
+            style: { color: 'black', width: '100%' },
+        })
+
+        for (const [role, { label }] of Object.entries(
+            selectorRegistry.roles
+        )) {
+            roleSelect.appendChild(
+                dom('option', { value: role, innerHTML: label })
+            )
+        }
+
+        // 显示所选角色的覆盖选择器和内置选择器
+        const showRole = () => {
+            const role = roleSelect.value
+            textarea.value = (selectorRegistry.overrides[role] || []).join('\n')
+            status.innerText = `内置选择器：${selectorRegistry.roles[
+                role
+            ].selectors.join(' | ')}`
+        }
+        roleSelect.addEventListener('change', showRole)
+        showRole()
+
+        const check = () => {
+            const report = pluginActions.checkSelectors()
+            if (!report) {
+                status.innerText = '网页播放器未在播放视频，无法检查'
+                return
+            }
+            status.innerText = report
+                .map(({ label, optional, selector, fallback }) => {
+                    if (selector) {
+                        return `✔ ${label}：${selector}${
+                            fallback ? '（备选）' : ''
+                        }`
+                    }
+                    return optional
+                        ? `- ${label}：当前页面未出现`
+                        : `✘ ${label}：未找到`
+                })
+                .join('\n')
+        }
+
+        const save = () => {
+            const invalid = selectorRegistry.setOverrides(
+                roleSelect.value,
+                textarea.value.split('\n')
+            )
+            pluginActions.applyConfig() // 立即应用到当前播放器
+            showRole()
+            if (invalid.length > 0) {
+                status.innerText = `已忽略无效的选择器：${invalid.join(' | ')}`
+            }
+        }
+
+        return dom(
+            'div',
+            { class: ['setting-item'] },
+            dom('span', {
+                class: ['setting-item-name'],
+                innerHTML: '页面选择器',
+            }),
+            status,
+            roleSelect,
+            textarea,
+            dom(
+                'div',
+                {},
+                dom('button', {
+                    innerHTML: '保存覆盖',
+                    style: buttonStyle,
+                    onclick: save,
+                }),
+                dom('button', {
+                    innerHTML: '健康检查',
+                    style: buttonStyle,
+                    onclick: check,
+                })
+            )
+        )
+    }
+
+    /**
+     * 创建当前歌曲视频管理组件
+     *
+     * 功能说明：
+     * - 显示当前歌曲、正在播放的视频及固定/黑名单状态
+     * - 固定：输入BV号或视频链接，固定到当前歌曲并立即加载
+     * - 标记错误：将当前视频加入黑名单并加载下一个候选视频
+     * - 取消固定 / 清空黑名单：恢复自动匹配
+     * - 调节音画偏移：打开偏移调节浮层
+     *
+     * @returns {HTMLElement} 管理组件的DOM元素
+     */
+    const createSongPanel = () => {
+        const buttonStyle = {
+            color: 'black',
+            border: 'none',
+            padding: '6px 12px',
+            marginRight: '8px',
+        }
+        const status = dom('span', {
+            class: ['setting-item-description'],
+            style: { whiteSpace: 'pre-line' },
+        })
+        const input = dom('input', {
+            placeholder: 'BV号、av号或视频链接',
+            style: { color: 'black', width: '100%' },
+        })
+
+        // 刷新当前歌曲状态显示
+        const refresh = () => {
+            const state = pluginActions.getCurrentState()
+            if (!state) {
+                status.innerText = '当前没有正在播放的歌曲'
+                return
+            }
+            status.innerText = [
+                `歌曲：${state.name} - ${state.artistName}`,
+                `视频：${state.videoKey || '无'}${
+                    state.prefs.pin ? '（已固定）' : ''
+                }`,
+                `黑名单：${state.prefs.blacklist.join(', ') || '无'}`,
+                `音画偏移：${formatOffset(state.offset)}`,
+            ].join('\n')
+        }
+
+        // 执行操作后刷新状态，操作返回的提示信息优先显示
+        const action = (label, handler) =>
+            dom('button', {
+                innerHTML: label,
+                style: buttonStyle,
+                onclick: async () => {
+                    const message = await handler()
+                    refresh()
+                    if (message) status.innerText = message
+                },
+            })
+
+        refresh()
+
+        return dom(
+            'div',
+            { class: ['setting-item'] },
+            dom('span', {
+                class: ['setting-item-name'],
+                innerHTML: '当前歌曲',
+            }),
+            status,
+            input,
+            dom(
+                'div',
+                {},
+                action('固定到当前歌曲', async () => {
+                    const pinned = await pluginActions.pinVideo(input.value)
+                    if (!pinned) return '无法解析BV号或没有正在播放的歌曲'
+                }),
+                action('取消固定', () => pluginActions.unpinVideo()),
+                action('标记为错误视频', () => pluginActions.markWrongVideo()),
+                action('清空黑名单', () => pluginActions.clearBlacklist()),
+                action('调节音画偏移', () =>
+                    pluginActions.showOffsetControls()
+                ),
+                action('候选视频', () => pluginActions.showCandidatePicker()),
+                action('搜索视频', () =>
+                    pluginActions.showSearchPanel(
+                        input.value.trim() || undefined
+                    )
+                )
+            )
+        )
+    }
+
+    // 清除匹配缓存按钮，用于强制重新搜索所有歌曲
+    const clearCacheBtn = dom('button', {
+        innerHTML: '清除匹配缓存',
+        style: {
+            color: 'black',
+            border: 'none',
+            padding: '10px 20px',
+            width: '100%',
+        },
+        onclick: () => {
+            matchCache.clear()
+            clearCacheBtn.innerHTML = '匹配缓存已清除'
+        },
+    })
+
     /**
      * 返回完整的配置界面DOM结构
-     * 包含标题、配置项列表、登录组件和样式定义
+     * 包含标题、配置项列表、缓存管理、登录组件和样式定义
      */
     return dom(
         'div', // 主容器
@@ -1696,6 +7740,10 @@ plugin.onConfig((tools) => {
     </div>`,
         },
         ...configDoms, // 展开所有配置项DOM
+        resetAllBtn, // 全部恢复默认
+        createSongPanel(), // 当前歌曲视频管理
+        createSelectorPanel(), // 页面选择器管理
+        clearCacheBtn, // 缓存管理
         loginIfr, // 登录组件
         style // 样式定义
     )